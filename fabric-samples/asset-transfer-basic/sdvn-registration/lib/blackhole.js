@@ -3,24 +3,40 @@
 // Blackhole-related chaincode helpers. Imported by the main contract and
 // executed within the same transaction context (ctx).
 
+const voteStore = require('./votes');
+const events = require('./events');
+const lifecycle = require('./lifecycle');
+const quarantine = require('./quarantine');
+const policy = require('./policy');
+const trust = require('./trust');
+const recovery = require('./recovery');
+const voting = require('./voting');
+const signatures = require('./signatures');
+
 function toNumberOrZero(v) {
     const n = Number(v);
     return Number.isFinite(n) ? n : 0;
 }
 
-function computeOverallTrust(vehicle) {
-    const scores = [
-        toNumberOrZero(vehicle.trustedScoreSybil),
-        toNumberOrZero(vehicle.trustedScoreWromehole),
-        toNumberOrZero(vehicle.trustScoreBlackhole),
-        toNumberOrZero(vehicle.trustScorePoison),
-        toNumberOrZero(vehicle.trustScoreReplay),
-    ];
-    const valid = scores.filter((n) => Number.isFinite(n));
-    const avg = valid.length
-        ? valid.reduce((a, b) => a + b, 0) / valid.length
-        : 0;
-    return Math.round(avg);
+// Apply recovery earned on the blackhole dimension (lib/recovery.js) and
+// persist the vehicle if anything was rewarded.
+async function applyRecovery(ctx, helpers, vin, vehicle, options) {
+    const rewards = await recovery.applyRewards(
+        ctx,
+        helpers,
+        vin,
+        vehicle,
+        'blackhole',
+        options
+    );
+    if (rewards.length) {
+        await trust.refresh(ctx, vehicle);
+        await ctx.stub.putState(
+            helpers.keyForVehicle(vin),
+            Buffer.from(JSON.stringify(vehicle))
+        );
+    }
+    return rewards;
 }
 
 module.exports = {
@@ -37,18 +53,42 @@ module.exports = {
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
 
+        const { version: policyVersion } = await policy.load(ctx);
         const reduceBy = Math.max(0, Number(delta) || 1);
 
         const before = toNumberOrZero(vehicle.trustScoreBlackhole);
         const after = Math.max(0, before - reduceBy);
         vehicle.trustScoreBlackhole = after;
+        recovery.notePenalty(ctx, helpers, vehicle, 'blackhole');
 
         // Maintain a stored overallTrustScore for convenience
         const overallBefore = toNumberOrZero(vehicle.overallTrustScore);
-        const overallAfter = computeOverallTrust(vehicle);
-        vehicle.overallTrustScore = overallAfter;
+        const overallAfter = (await trust.refresh(ctx, vehicle)).overall;
+        const quarantined = await quarantine.applyThreshold(
+            ctx,
+            helpers,
+            vin,
+            vehicle,
+            {
+                detector: 'blackhole',
+                decision: 'manual-reduction',
+                before,
+                after,
+                policyVersion,
+            }
+        );
 
         await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        events.trustScoreChanged(
+            ctx,
+            helpers,
+            vin,
+            'blackhole',
+            before,
+            after,
+            'manual-reduction',
+            policyVersion
+        );
         return JSON.stringify({
             vin,
             action: 'reduced-blackhole',
@@ -57,15 +97,23 @@ module.exports = {
             delta: -reduceBy,
             overallBefore,
             overallAfter,
+            quarantined,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 
     /**
      * Vehicle-only: store a neighbor vote (1 or 0) about a VIN for blackhole analysis.
-     * Appends to vehicle.neighborArrayBlackholeVotes with fields:
-     *  - neighborId
+     * Stored under its own blackhole vote key (see lib/votes.js) with fields:
+     *  - neighborId (the caller's certificate `vin`; an explicit neighborId must match it)
+     *  - voterMspId, txId
      *  - vote (1 or 0)
-     *  - timestamp (ISO; uses tx time if not provided)
+     *  - timestamp (ISO; uses tx time if not provided; must lie within
+     *    blackhole.windowMinutes of the tx time)
+     *  - signed (when the voter signed the vote, see lib/signatures.js)
+     * One vote per voter, target and window (lib/votes.js replaceVote): a
+     * repeated vote replaces the earlier one. Vehicles cannot vote about themselves.
      */
     async storeNeighborVoteBlackhole(
         ctx,
@@ -77,43 +125,77 @@ module.exports = {
     ) {
         helpers.requireRole(ctx, ['vehicle']);
 
-        if (!vin || !neighborId || vote === undefined || vote === null) {
-            throw new Error('vin, neighborId and vote are required');
+        if (!vin || vote === undefined || vote === null) {
+            throw new Error('vin and vote are required');
         }
 
         const v = Number(vote) === 1 ? 1 : 0;
         const vehKey = helpers.keyForVehicle(vin);
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
-
         const vehicle = JSON.parse(data.toString());
-        if (!Array.isArray(vehicle.neighborArrayBlackholeVotes)) {
-            vehicle.neighborArrayBlackholeVotes = [];
-        }
+        lifecycle.assertActive(vehicle, vin, 'votes');
+        await lifecycle.assertCallerActive(ctx, helpers, 'votes');
+        const voter = voting.bindVoter(ctx, vin, neighborId);
 
         const entry = {
-            neighborId: String(neighborId),
+            neighborId: voter.vin,
+            voterMspId: voter.mspId,
+            txId: voter.txId,
             vote: v,
             timestamp:
                 timestamp && String(timestamp).trim()
                     ? String(timestamp)
                     : helpers.txNowIso(ctx),
         };
+        const signed = await signatures.verify(ctx, helpers, voter.vin, {
+            op: 'storeBlackholeNeighborVote',
+            vin: String(vin),
+            voter: voter.vin,
+            vote: v,
+            timestamp:
+                timestamp && String(timestamp).trim()
+                    ? String(timestamp)
+                    : null,
+        });
+        if (signed) entry.signed = signed;
 
-        vehicle.neighborArrayBlackholeVotes.push(entry);
-
-        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        const { windowMinutes } = (await policy.load(ctx)).blackhole;
+        voting.assertVoteTime(
+            ctx,
+            helpers,
+            entry.timestamp,
+            windowMinutes * 60 * 1000
+        );
+        const stored = await voteStore.replaceVote(
+            ctx,
+            'blackhole',
+            vin,
+            voter.vin,
+            entry,
+            windowMinutes * 60 * 1000,
+            vehicle
+        );
+        if (stored.legacyChanged) {
+            await ctx.stub.putState(
+                vehKey,
+                Buffer.from(JSON.stringify(vehicle))
+            );
+        }
         return JSON.stringify({
             vin,
             lastVote: entry,
-            count: vehicle.neighborArrayBlackholeVotes.length,
+            voteKey: stored.key,
+            replaced: stored.replaced,
         });
     },
 
     /**
      * Controller-only: evaluate majority of neighbor votes for blackhole on a VIN.
+     * Votes within the policy window (blackhole.windowMinutes, default 10) count.
      * If majority is 1 -> no change. If majority is 0 -> reduce trustScoreBlackhole
-     * by `reduceBy` (default 1). Also updates stored overallTrustScore.
+     * by `reduceBy` (default blackhole.defaultPenalty). Also updates stored
+     * overallTrustScore.
      */
     async evaluateBlackholeVotes(ctx, helpers, vin, reduceBy) {
         helpers.requireRole(ctx, ['controller']);
@@ -124,77 +206,126 @@ module.exports = {
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
 
-        // Consider only votes within the last 10 minutes relative to tx time
+        // Consider only votes within the policy window relative to tx time
+        const { blackhole: rules, version: policyVersion } = await policy.load(
+            ctx
+        );
         const nowIso = helpers.txNowIso(ctx);
         const nowMs = Date.parse(nowIso);
-        const windowStart = nowMs - 10 * 60 * 1000;
+        const windowStart = nowMs - rules.windowMinutes * 60 * 1000;
 
-        const allVotes = Array.isArray(vehicle.neighborArrayBlackholeVotes)
-            ? vehicle.neighborArrayBlackholeVotes
-            : [];
+        const allVotes = (
+            await voteStore.getVotes(ctx, 'blackhole', vin, vehicle)
+        ).map((v) => v.entry);
         const windowVotes = allVotes.filter((e) => {
             const t = Date.parse(e && e.timestamp);
             return Number.isFinite(t) && t >= windowStart && t <= nowMs;
         });
 
         if (windowVotes.length === 0) {
-            const current = toNumberOrZero(vehicle.trustScoreBlackhole);
+            const before = toNumberOrZero(vehicle.trustScoreBlackhole);
+            const rewards = await applyRecovery(ctx, helpers, vin, vehicle);
+            const after = toNumberOrZero(vehicle.trustScoreBlackhole);
             return JSON.stringify({
                 vin,
                 decision: 'no-votes',
                 ones: 0,
                 zeros: 0,
-                before: current,
-                after: current,
-                delta: 0,
+                before,
+                after,
+                delta: after - before,
+                rewards,
+                policyVersion,
+                trust: await trust.summarize(ctx, vehicle),
             });
         }
 
-        const ones = windowVotes.filter((e) => Number(e.vote) === 1).length;
-        const zeros = windowVotes.filter((e) => Number(e.vote) !== 1).length;
+        // Reputation-weighted majority (lib/voting.js); ones/zeros stay raw counts
+        const tally = await voting.tally(ctx, helpers, windowVotes, {
+            vin,
+            vehicle,
+        });
+        const { ones, zeros } = tally.raw;
 
         let decision = 'no-change';
         let delta = 0;
         const before = toNumberOrZero(vehicle.trustScoreBlackhole);
         let after = before;
 
-        if (zeros > ones) {
-            const dec = Math.max(0, Number(reduceBy) || 1);
+        if (tally.majority === 0) {
+            const dec = Math.max(0, Number(reduceBy) || rules.defaultPenalty);
             after = Math.max(0, before - dec);
             delta = -dec;
             vehicle.trustScoreBlackhole = after;
             decision = 'penalized-majority0';
+            recovery.notePenalty(ctx, helpers, vehicle, 'blackhole');
 
             // Update overall score when we changed trustScoreBlackhole
-            const overallAfter = computeOverallTrust(vehicle);
-            vehicle.overallTrustScore = overallAfter;
+            const overallAfter = (await trust.refresh(ctx, vehicle)).overall;
+            const quarantined = await quarantine.applyThreshold(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                {
+                    detector: 'blackhole',
+                    decision,
+                    before,
+                    after,
+                    policyVersion,
+                }
+            );
 
             await ctx.stub.putState(
                 vehKey,
                 Buffer.from(JSON.stringify(vehicle))
             );
+            events.trustScoreChanged(
+                ctx,
+                helpers,
+                vin,
+                'blackhole',
+                before,
+                after,
+                decision,
+                policyVersion
+            );
             return JSON.stringify({
                 vin,
                 decision,
                 ones,
                 zeros,
+                tally: voting.report(tally),
                 before,
                 after,
                 delta,
                 overallAfter,
+                quarantined,
+                policyVersion,
+                trust: await trust.summarize(ctx, vehicle),
             });
         }
 
         // No reduction; explicitly report majority outcome
-        decision = ones > zeros ? 'majority1-no-penalty' : 'no-majority';
+        decision =
+            tally.majority === 1 ? 'majority1-no-penalty' : 'no-majority';
+        const rewards = await applyRecovery(ctx, helpers, vin, vehicle, {
+            positiveMajority: tally.majority === 1,
+        });
+        after = toNumberOrZero(vehicle.trustScoreBlackhole);
+        delta = after - before;
         return JSON.stringify({
             vin,
             decision,
             ones,
             zeros,
+            tally: voting.report(tally),
             before,
             after,
             delta,
+            rewards,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 };
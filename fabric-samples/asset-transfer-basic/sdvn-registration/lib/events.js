@@ -0,0 +1,77 @@
+'use strict';
+
+// Chaincode event helpers shared by the main contract and the detector libs.
+// Fabric keeps only the last setEvent call of a transaction, so events raised
+// during one transaction are accumulated on ctx and re-emitted together:
+//  - a single event is emitted under its own type name with the event as payload
+//  - several events are emitted as 'SdvnEventBatch' with payload { events: [...] }
+// Each event carries { type, vin, txId, timestamp, ...details }.
+
+const EVENT_TYPES = {
+    VEHICLE_REGISTERED: 'VehicleRegistered',
+    VIN_STORED: 'VINStored',
+    TRUST_SCORE_CHANGED: 'TrustScoreChanged',
+    TRUST_RESET: 'TrustReset',
+    REPLAY_DETECTED: 'ReplayDetected',
+    VEHICLE_STATUS_CHANGED: 'VehicleStatusChanged',
+    POLICY_UPDATED: 'PolicyUpdated',
+    TRUST_REWARDED: 'TrustRewarded',
+    VEHICLE_KEY_ROTATED: 'VehicleKeyRotated',
+    LOCATION_IMPLAUSIBLE: 'LocationImplausible',
+    LEASH_VIOLATION: 'LeashViolation',
+};
+
+const BATCH_EVENT_NAME = 'SdvnEventBatch';
+
+module.exports = {
+    EVENT_TYPES,
+    BATCH_EVENT_NAME,
+
+    /**
+     * Queue an event for this transaction and (re)publish the pending set.
+     */
+    emit(ctx, helpers, type, details) {
+        if (!Array.isArray(ctx.sdvnEvents)) ctx.sdvnEvents = [];
+        ctx.sdvnEvents.push({
+            type,
+            ...details,
+            txId: ctx.stub.getTxID(),
+            timestamp: helpers.txNowIso(ctx),
+        });
+        const pending = ctx.sdvnEvents;
+        if (pending.length === 1) {
+            ctx.stub.setEvent(type, Buffer.from(JSON.stringify(pending[0])));
+        } else {
+            ctx.stub.setEvent(
+                BATCH_EVENT_NAME,
+                Buffer.from(JSON.stringify({ events: pending }))
+            );
+        }
+    },
+
+    /**
+     * Emit TrustScoreChanged for a detector decision that moved a score.
+     * No event is emitted when before === after. `policyVersion` is the
+     * detection policy version the decision was made under.
+     */
+    trustScoreChanged(
+        ctx,
+        helpers,
+        vin,
+        detector,
+        before,
+        after,
+        decision,
+        policyVersion
+    ) {
+        if (Number(before) === Number(after)) return;
+        module.exports.emit(ctx, helpers, EVENT_TYPES.TRUST_SCORE_CHANGED, {
+            vin,
+            detector,
+            before,
+            after,
+            decision,
+            policyVersion,
+        });
+    },
+};
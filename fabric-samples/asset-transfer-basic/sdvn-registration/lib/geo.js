@@ -0,0 +1,221 @@
+'use strict';
+
+// Geodesy helpers shared by the detector libs. Coordinates are WGS84 decimal
+// degrees; distances are in meters.
+
+const EARTH_RADIUS_METERS = 6371008.8; // mean Earth radius
+
+function toRadians(deg) {
+    return (deg * Math.PI) / 180;
+}
+
+/**
+ * Parse { latitude, longitude } into numbers; returns null when either is
+ * missing or not finite.
+ */
+function toPoint(loc) {
+    if (!loc) return null;
+    const latitude = Number(loc.latitude);
+    const longitude = Number(loc.longitude);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+    return { latitude, longitude };
+}
+
+/**
+ * Great-circle distance between two points (haversine formula), or null when
+ * either point is invalid.
+ */
+function haversineMeters(a, b) {
+    const p = toPoint(a);
+    const q = toPoint(b);
+    if (!p || !q) return null;
+    const dLat = toRadians(q.latitude - p.latitude);
+    const dLon = toRadians(q.longitude - p.longitude);
+    const h =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(p.latitude)) *
+            Math.cos(toRadians(q.latitude)) *
+            Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2
+        ? sorted[mid]
+        : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(n, digits) {
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+/**
+ * Robust consensus of reported positions: points farther from the
+ * coordinate-wise median than max(options.outlierMinMeters,
+ * options.outlierMadFactor x the median distance) are rejected, and the
+ * consensus is the centroid of the rest weighted by each point's `weight`
+ * (default 1). Positions are assumed not to straddle the antimeridian.
+ * `points` are objects with latitude/longitude; invalid ones are skipped.
+ * Returns null without valid points, otherwise
+ * { point, inliers, outliers, spreadMeters, medianDeviationMeters } where
+ * inliers/outliers are the input objects with their `distanceMeters` from the
+ * consensus, and spreadMeters is the largest inlier distance.
+ */
+function consensusPoint(points, options) {
+    const { outlierMinMeters = 0, outlierMadFactor = 3 } = options || {};
+    const valid = (points || []).filter((p) => toPoint(p));
+    if (!valid.length) return null;
+
+    const center = {
+        latitude: median(valid.map((p) => Number(p.latitude))),
+        longitude: median(valid.map((p) => Number(p.longitude))),
+    };
+    const fromCenter = valid.map((p) => haversineMeters(center, p));
+    const limit = Math.max(
+        outlierMinMeters,
+        outlierMadFactor * median(fromCenter)
+    );
+    const kept = valid.filter((p, i) => fromCenter[i] <= limit);
+
+    let total = 0;
+    let latitude = 0;
+    let longitude = 0;
+    for (const p of kept) {
+        const w = Number(p.weight);
+        const weight = Number.isFinite(w) && w > 0 ? w : 1;
+        total += weight;
+        latitude += weight * Number(p.latitude);
+        longitude += weight * Number(p.longitude);
+    }
+    const point = { latitude: latitude / total, longitude: longitude / total };
+    const withDistance = (p) => ({
+        ...p,
+        distanceMeters: round(haversineMeters(point, p), 2),
+    });
+    const inliers = kept.map(withDistance);
+    return {
+        point: {
+            latitude: round(point.latitude, 7),
+            longitude: round(point.longitude, 7),
+        },
+        inliers,
+        outliers: valid.filter((p) => !kept.includes(p)).map(withDistance),
+        spreadMeters: Math.max(...inliers.map((p) => p.distanceMeters)),
+        medianDeviationMeters: round(
+            median(inliers.map((p) => p.distanceMeters)),
+            2
+        ),
+    };
+}
+
+/**
+ * Estimate a position from `anchors` ({ latitude, longitude, rangeMeters }) by
+ * least-squares multilateration on a local plane around the anchors (fine for
+ * radio ranges): a linearized solution refined by Gauss-Newton iterations.
+ * Returns null with fewer than three valid anchors or when they are (nearly)
+ * collinear, otherwise { point, residualRmsMeters, anchors }.
+ */
+function multilaterate(anchors) {
+    const valid = (anchors || []).filter(
+        (a) =>
+            toPoint(a) &&
+            Number.isFinite(Number(a.rangeMeters)) &&
+            Number(a.rangeMeters) >= 0
+    );
+    if (valid.length < 3) return null;
+
+    // Equirectangular projection around the anchors' mean (meters)
+    const lat0 =
+        valid.reduce((sum, a) => sum + Number(a.latitude), 0) / valid.length;
+    const lon0 =
+        valid.reduce((sum, a) => sum + Number(a.longitude), 0) / valid.length;
+    const cosLat = Math.cos(toRadians(lat0));
+    const xy = valid.map((a) => ({
+        x: toRadians(Number(a.longitude) - lon0) * cosLat * EARTH_RADIUS_METERS,
+        y: toRadians(Number(a.latitude) - lat0) * EARTH_RADIUS_METERS,
+        r: Number(a.rangeMeters),
+    }));
+
+    // Solve the 2x2 normal equations sum(J^T J) d = sum(J^T e)
+    const solve = (rows) => {
+        let a11 = 0;
+        let a12 = 0;
+        let a22 = 0;
+        let b1 = 0;
+        let b2 = 0;
+        for (const [jx, jy, e] of rows) {
+            a11 += jx * jx;
+            a12 += jx * jy;
+            a22 += jy * jy;
+            b1 += jx * e;
+            b2 += jy * e;
+        }
+        const det = a11 * a22 - a12 * a12;
+        if (Math.abs(det) <= 1e-9 * Math.max(1, a11 * a22)) return null;
+        return {
+            x: (a22 * b1 - a12 * b2) / det,
+            y: (a11 * b2 - a12 * b1) / det,
+        };
+    };
+
+    // Linearized start: subtract the last anchor's circle from the others
+    const n = xy[xy.length - 1];
+    let p = solve(
+        xy
+            .slice(0, -1)
+            .map((a) => [
+                2 * (a.x - n.x),
+                2 * (a.y - n.y),
+                n.r * n.r -
+                    a.r * a.r +
+                    a.x * a.x -
+                    n.x * n.x +
+                    a.y * a.y -
+                    n.y * n.y,
+            ])
+    );
+    if (!p) return null;
+    for (let i = 0; i < 10; i += 1) {
+        const step = solve(
+            xy.map((a) => {
+                const d = Math.hypot(p.x - a.x, p.y - a.y) || 1e-6;
+                return [(p.x - a.x) / d, (p.y - a.y) / d, a.r - d];
+            })
+        );
+        if (!step) break;
+        p = { x: p.x + step.x, y: p.y + step.y };
+        if (Math.hypot(step.x, step.y) < 0.01) break;
+    }
+
+    const residual = Math.sqrt(
+        xy.reduce((sum, a) => {
+            const e = Math.hypot(p.x - a.x, p.y - a.y) - a.r;
+            return sum + e * e;
+        }, 0) / xy.length
+    );
+    return {
+        point: {
+            latitude: round(
+                lat0 + (p.y / EARTH_RADIUS_METERS) * (180 / Math.PI),
+                7
+            ),
+            longitude: round(
+                lon0 + (p.x / (EARTH_RADIUS_METERS * cosLat)) * (180 / Math.PI),
+                7
+            ),
+        },
+        residualRmsMeters: round(residual, 2),
+        anchors: valid.length,
+    };
+}
+
+module.exports = {
+    EARTH_RADIUS_METERS,
+    toPoint,
+    haversineMeters,
+    consensusPoint,
+    multilaterate,
+};
@@ -0,0 +1,160 @@
+'use strict';
+
+// Vehicle key rotation. Imported by the main contract and executed within the
+// same transaction context (ctx).
+//
+// A rotation is authorized either by a proof signed with the vehicle's current
+// key (transient 'signature', see lib/signatures.js) over
+//   { op: 'rotateVehicleKey', vin, newKeyFingerprint, timestamp }
+// or by a controller override with a reason (e.g. the current key leaked).
+// The replaced key is appended to vehicle.publicKeyHistory with its validity
+// period, so the keyFingerprint of records signed before the rotation can
+// still be traced to it (signatures only verify against the current key), and
+// its pubkey:<fingerprint> index entry is marked retired.
+
+const events = require('./events');
+const keys = require('./keys');
+const lifecycle = require('./lifecycle');
+const signatures = require('./signatures');
+
+const NOT_ROTATABLE = [lifecycle.STATUS.REVOKED, lifecycle.STATUS.DEREGISTERED];
+
+module.exports = {
+    /**
+     * Replace the public key of `vin` with `newPublicKey`.
+     * Role: vehicle (own VIN, proof required) or controller (proof, or an
+     * override with `reason`). `timestamp` is the time stated in the proof.
+     */
+    async rotateVehicleKey(ctx, helpers, vin, newPublicKey, reason, timestamp) {
+        const role = helpers.requireRole(ctx, ['vehicle', 'controller']);
+        helpers.ensureVehicleOwnsVIN(ctx, vin);
+        if (!vin || !newPublicKey) {
+            throw new Error('vin and newPublicKey are required');
+        }
+
+        const vehKey = helpers.keyForVehicle(vin);
+        const data = await ctx.stub.getState(vehKey);
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+        const status = lifecycle.statusOf(vehicle);
+        if (NOT_ROTATABLE.includes(status)) {
+            throw new Error(
+                `Vehicle ${vin} is ${status}; key rotation refused`
+            );
+        }
+
+        const parsed = keys.parsePublicKey(newPublicKey);
+        const oldFingerprint =
+            vehicle.publicKeyFingerprint ||
+            keys.fingerprintOf(vehicle.publicKey);
+        const history = Array.isArray(vehicle.publicKeyHistory)
+            ? vehicle.publicKeyHistory
+            : [];
+        if (
+            parsed.fingerprint === oldFingerprint ||
+            history.some((h) => h.fingerprint === parsed.fingerprint)
+        ) {
+            throw new Error(
+                `Key ${parsed.fingerprint} was already used by vehicle ${vin}`
+            );
+        }
+
+        // Proof by the current key; controllers may override with a reason
+        const overrideReason = String(reason || '').trim();
+        const proof = await signatures.verify(
+            ctx,
+            helpers,
+            vin,
+            {
+                op: 'rotateVehicleKey',
+                vin: String(vin),
+                newKeyFingerprint: parsed.fingerprint,
+                timestamp:
+                    timestamp && String(timestamp).trim()
+                        ? String(timestamp)
+                        : null,
+            },
+            vehicle,
+            { required: !(role === 'controller' && overrideReason) }
+        );
+        if (!proof && !overrideReason) {
+            throw new Error('reason is required for a controller override');
+        }
+
+        await keys.claim(ctx, helpers, vin, parsed);
+        if (oldFingerprint) {
+            await keys.retire(
+                ctx,
+                helpers,
+                vin,
+                oldFingerprint,
+                vehicle.publicKeyType
+            );
+        }
+
+        const now = helpers.txNowIso(ctx);
+        const record = {
+            publicKey: vehicle.publicKey,
+            fingerprint: oldFingerprint || null,
+            keyType: vehicle.publicKeyType || null,
+            validFrom: vehicle.publicKeyValidFrom || vehicle.createdAt || null,
+            validTo: now,
+            method: proof ? 'signed-proof' : 'controller-override',
+            reason: overrideReason || null,
+            role,
+            actor: ctx.clientIdentity.getID(),
+            txId: ctx.stub.getTxID(),
+        };
+        if (proof) record.proof = proof;
+        vehicle.publicKeyHistory = history.concat([record]);
+        vehicle.publicKey = newPublicKey;
+        vehicle.publicKeyFingerprint = parsed.fingerprint;
+        vehicle.publicKeyType = parsed.keyType;
+        vehicle.publicKeyValidFrom = now;
+        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+
+        events.emit(ctx, helpers, events.EVENT_TYPES.VEHICLE_KEY_ROTATED, {
+            vin,
+            previousFingerprint: record.fingerprint,
+            fingerprint: parsed.fingerprint,
+            method: record.method,
+        });
+        return JSON.stringify({
+            vin,
+            fingerprint: parsed.fingerprint,
+            keyType: parsed.keyType,
+            validFrom: now,
+            previous: record,
+        });
+    },
+
+    /**
+     * Controller/trustedAuthority (or the vehicle itself): current key and
+     * dated history of previous keys.
+     */
+    async getVehicleKeyHistory(ctx, helpers, vin) {
+        const role = helpers.requireRole(ctx, [
+            'controller',
+            'trustedAuthority',
+            'vehicle',
+        ]);
+        if (role === 'vehicle') helpers.ensureVehicleOwnsVIN(ctx, vin);
+        if (!vin) throw new Error('vin is required');
+        const data = await ctx.stub.getState(helpers.keyForVehicle(vin));
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+        return JSON.stringify({
+            vin,
+            current: {
+                publicKey: vehicle.publicKey,
+                fingerprint: vehicle.publicKeyFingerprint || null,
+                keyType: vehicle.publicKeyType || null,
+                validFrom:
+                    vehicle.publicKeyValidFrom || vehicle.createdAt || null,
+            },
+            history: Array.isArray(vehicle.publicKeyHistory)
+                ? vehicle.publicKeyHistory
+                : [],
+        });
+    },
+};
@@ -0,0 +1,263 @@
+'use strict';
+
+// Vehicle public keys. registerVehicle only accepts EC (ECDSA) or Ed25519 keys,
+// given as PEM (SPKI 'PUBLIC KEY' or an X.509 certificate) or as DER SPKI
+// encoded in base64 or hex. Each key is identified by the SHA-256 fingerprint of
+// its DER SPKI encoding; the secondary index pubkey:<fingerprint> -> VIN keeps a
+// key from being registered under more than one VIN and lets receivers resolve
+// a signing key to its vehicle. Keys replaced by rotateVehicleKey stay indexed
+// (marked retired) so old signatures still resolve and the key cannot be
+// registered again. Records registered before the index existed are indexed by
+// backfillVehicleDocs; a key such records share is indexed once, with the
+// other VINs in `sharedBy` (Sybil evidence, lib/sybil.js).
+
+const crypto = require('crypto');
+const lifecycle = require('./lifecycle');
+const trust = require('./trust');
+
+const SUPPORTED_KEY_TYPES = ['ec', 'ed25519'];
+const FINGERPRINT_PATTERN = /^[0-9a-f]{64}$/;
+
+function keyForPublicKey(fingerprint) {
+    return `pubkey:${fingerprint}`;
+}
+
+function decodeDer(text) {
+    const compact = text.replace(/\s+/g, '');
+    if (/^[0-9a-fA-F]+$/.test(compact) && compact.length % 2 === 0) {
+        return Buffer.from(compact, 'hex');
+    }
+    if (/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) {
+        return Buffer.from(compact, 'base64');
+    }
+    return null;
+}
+
+/**
+ * Parse and validate a public key. Returns
+ * { keyObject, keyType, curve, fingerprint, pem }; throws when the key is not
+ * a well-formed EC or Ed25519 public key.
+ */
+function parsePublicKey(publicKey) {
+    const text = String(publicKey || '').trim();
+    if (!text) throw new Error('publicKey is required');
+
+    let keyObject;
+    try {
+        if (text.includes('-----BEGIN')) {
+            keyObject = crypto.createPublicKey(text);
+        } else {
+            const der = decodeDer(text);
+            if (!der || !der.length) throw new Error('not DER');
+            keyObject = crypto.createPublicKey({
+                key: der,
+                format: 'der',
+                type: 'spki',
+            });
+        }
+    } catch (_) {
+        throw new Error(
+            'publicKey must be a PEM or DER (base64/hex) encoded EC or Ed25519 public key'
+        );
+    }
+    if (!SUPPORTED_KEY_TYPES.includes(keyObject.asymmetricKeyType)) {
+        throw new Error(
+            `Unsupported publicKey type '${
+                keyObject.asymmetricKeyType
+            }'. Allowed: ${SUPPORTED_KEY_TYPES.join(', ')}`
+        );
+    }
+    const der = keyObject.export({ format: 'der', type: 'spki' });
+    return {
+        keyObject,
+        keyType: keyObject.asymmetricKeyType,
+        curve:
+            (keyObject.asymmetricKeyDetails &&
+                keyObject.asymmetricKeyDetails.namedCurve) ||
+            null,
+        fingerprint: crypto.createHash('sha256').update(der).digest('hex'),
+        pem: keyObject.export({ format: 'pem', type: 'spki' }),
+    };
+}
+
+/**
+ * Fingerprint of `publicKey`, or null when it is not a valid supported key.
+ */
+function fingerprintOf(publicKey) {
+    try {
+        return parsePublicKey(publicKey).fingerprint;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Fingerprint a stored vehicle key is indexed under: its SPKI fingerprint or,
+ * for a legacy key that does not parse, the SHA-256 of the key string without
+ * whitespace. Null without a key.
+ */
+function indexFingerprintOf(publicKey) {
+    const text = String(publicKey || '').replace(/\s+/g, '');
+    if (!text) return null;
+    return (
+        fingerprintOf(publicKey) ||
+        crypto.createHash('sha256').update(text).digest('hex')
+    );
+}
+
+/**
+ * Index record stored under `fingerprint`, or null.
+ */
+async function indexEntry(ctx, fingerprint) {
+    const data = await ctx.stub.getState(keyForPublicKey(fingerprint));
+    if (!data || !data.length) return null;
+    return JSON.parse(data.toString());
+}
+
+/**
+ * VIN indexed under `fingerprint`, or null.
+ */
+async function vinForFingerprint(ctx, fingerprint) {
+    const entry = await indexEntry(ctx, fingerprint);
+    return (entry && entry.vin) || null;
+}
+
+/**
+ * Every VIN indexed under `fingerprint`: the owner, then the `sharedBy` VINs.
+ */
+async function vinsForFingerprint(ctx, fingerprint) {
+    const entry = await indexEntry(ctx, fingerprint);
+    if (!entry) return [];
+    return [entry.vin, ...(entry.sharedBy || [])].filter(Boolean).map(String);
+}
+
+module.exports = {
+    SUPPORTED_KEY_TYPES,
+    keyForPublicKey,
+    parsePublicKey,
+    fingerprintOf,
+    indexFingerprintOf,
+    vinForFingerprint,
+    vinsForFingerprint,
+
+    /**
+     * Index `parsed` (from parsePublicKey) for `vin`. Throws if the key is
+     * already registered to another VIN.
+     */
+    async claim(ctx, helpers, vin, parsed) {
+        const owner = await vinForFingerprint(ctx, parsed.fingerprint);
+        if (owner && owner !== String(vin)) {
+            throw new Error(
+                `publicKey is already registered to vehicle ${owner} (fingerprint ${parsed.fingerprint})`
+            );
+        }
+        await ctx.stub.putState(
+            keyForPublicKey(parsed.fingerprint),
+            Buffer.from(
+                JSON.stringify({
+                    docType: 'pubkey',
+                    vin: String(vin),
+                    fingerprint: parsed.fingerprint,
+                    keyType: parsed.keyType,
+                    curve: parsed.curve,
+                    createdAt: helpers.txNowIso(ctx),
+                })
+            )
+        );
+    },
+
+    /**
+     * Index the current key of a vehicle registered before the index
+     * existed. A key already indexed for another VIN gets `vin` added to its
+     * `sharedBy` list instead. `written` (a Map) holds the entries written
+     * earlier in this transaction, which getState does not return yet.
+     * Returns true when the index changed.
+     */
+    async indexLegacy(ctx, helpers, vin, vehicle, written) {
+        const fingerprint =
+            vehicle.publicKeyFingerprint ||
+            indexFingerprintOf(vehicle.publicKey);
+        if (!fingerprint) return false;
+        let entry =
+            written.get(fingerprint) || (await indexEntry(ctx, fingerprint));
+        if (entry) {
+            const sharedBy = (entry.sharedBy || []).map(String);
+            if (entry.vin === String(vin) || sharedBy.includes(String(vin))) {
+                return false;
+            }
+            entry = { ...entry, sharedBy: sharedBy.concat([String(vin)]) };
+        } else {
+            const parsed = fingerprintOf(vehicle.publicKey)
+                ? parsePublicKey(vehicle.publicKey)
+                : null;
+            entry = {
+                docType: 'pubkey',
+                vin: String(vin),
+                fingerprint,
+                keyType: parsed ? parsed.keyType : 'unparsed',
+                createdAt: helpers.txNowIso(ctx),
+            };
+        }
+        written.set(fingerprint, entry);
+        await ctx.stub.putState(
+            keyForPublicKey(fingerprint),
+            Buffer.from(JSON.stringify(entry))
+        );
+        return true;
+    },
+
+    /**
+     * Mark the index entry of a rotated-out key as retired (it keeps pointing
+     * to `vin`). Legacy keys that were never indexed are indexed now.
+     */
+    async retire(ctx, helpers, vin, fingerprint, keyType) {
+        const now = helpers.txNowIso(ctx);
+        const entry = (await indexEntry(ctx, fingerprint)) || {
+            docType: 'pubkey',
+            vin: String(vin),
+            fingerprint,
+            keyType: keyType || null,
+            createdAt: now,
+        };
+        entry.retiredAt = now;
+        await ctx.stub.putState(
+            keyForPublicKey(fingerprint),
+            Buffer.from(JSON.stringify(entry))
+        );
+    },
+
+    /**
+     * Any role: resolve a public key (PEM/DER) or its SHA-256 fingerprint to
+     * the vehicle it is registered to. Keys of vehicles registered before the
+     * index existed are not found; rotated-out keys resolve with
+     * keyStatus 'retired'.
+     */
+    async getVehicleByPublicKey(ctx, helpers, publicKey) {
+        helpers.requireRole(ctx, ['trustedAuthority', 'controller', 'vehicle']);
+        const input = String(publicKey || '').trim();
+        if (!input) throw new Error('publicKey is required');
+        const fingerprint = FINGERPRINT_PATTERN.test(input.toLowerCase())
+            ? input.toLowerCase()
+            : parsePublicKey(input).fingerprint;
+
+        const entry = await indexEntry(ctx, fingerprint);
+        const vin = entry && entry.vin;
+        if (!vin) {
+            throw new Error(`No vehicle registered with key ${fingerprint}`);
+        }
+        const data = await ctx.stub.getState(helpers.keyForVehicle(vin));
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+        const summary = await trust.summarize(ctx, vehicle);
+        return JSON.stringify({
+            vin,
+            fingerprint,
+            keyType: entry.keyType || vehicle.publicKeyType || null,
+            keyStatus: entry.retiredAt ? 'retired' : 'current',
+            retiredAt: entry.retiredAt || null,
+            registrationStatus: lifecycle.statusOf(vehicle),
+            overallTrustScore: summary.overall,
+            trust: summary,
+        });
+    },
+};
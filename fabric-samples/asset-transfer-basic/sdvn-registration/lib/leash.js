@@ -0,0 +1,345 @@
+'use strict';
+
+// Temporal packet leashes (Hu, Perrig, Johnson) for wormhole detection.
+// Imported by the main contract and executed within the same transaction
+// context (ctx).
+//
+// A receiver reports a message from vehicle VIN with the send timestamp and
+// claimed sender position carried in the message, and its own receive
+// timestamp and position. A radio signal cannot cover the haversine distance
+// between the two positions faster than light, so with clocks synchronized to
+// within wormhole.leashClockSkewMicros the reception is impossible when
+//   distance > c * (receiveTime - sendTime + skew)
+// Such a message was tunneled (or the sender lied about its position). Each
+// report is stored under the 'leash' vote keys (lib/votes.js), bucketed by
+// wormhole.windowMinutes so that only the buckets around a report are read.
+// A single receiver can lie, so the sender loses wormhole.leashPenalty only once at
+// least wormhole.leashMinReporters distinct counted voters (lib/voting.js)
+// reported a violation within wormhole.windowMinutes and the trust-weighted
+// majority of the window's reports (each voter's latest) are violations; the
+// penalty applies at most once per window.
+//
+// Timestamps are ISO 8601 with up to nanosecond fractions
+// (2026-01-01T00:00:00.000001234Z) or integer nanoseconds since the epoch.
+
+const events = require('./events');
+const geo = require('./geo');
+const lifecycle = require('./lifecycle');
+const locations = require('./locations');
+const plausibility = require('./plausibility');
+const policy = require('./policy');
+const quarantine = require('./quarantine');
+const recovery = require('./recovery');
+const signatures = require('./signatures');
+const trust = require('./trust');
+const voteStore = require('./votes');
+const voting = require('./voting');
+
+const SPEED_OF_LIGHT_METERS_PER_SECOND = 299792458;
+const ISO_PATTERN =
+    /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Nanoseconds since the epoch (BigInt) of an ISO 8601 timestamp or an integer
+ * nanosecond count; throws when `value` is neither.
+ */
+function parseTimeNs(value, name) {
+    const s = String(value ?? '').trim();
+    if (/^\d+$/.test(s)) return BigInt(s);
+    const m = ISO_PATTERN.exec(s);
+    const ms = m ? Date.parse(`${m[1]}${m[3]}`) : NaN;
+    if (!Number.isFinite(ms)) {
+        throw new Error(
+            `${name} must be an ISO 8601 timestamp or epoch nanoseconds`
+        );
+    }
+    return BigInt(ms) * 1000000n + BigInt((m[2] || '').padEnd(9, '0'));
+}
+
+/**
+ * Leash check of one reception. Returns { distanceMeters, elapsedMicros,
+ * maxDistanceMeters, impliedSpeedMetersPerSecond, violation, reason }.
+ */
+function assess(sender, receiver, sendNs, receiveNs, skewMicros) {
+    const distance = geo.haversineMeters(sender, receiver);
+    const elapsedNs = Number(receiveNs - sendNs);
+    const maxDistance =
+        (SPEED_OF_LIGHT_METERS_PER_SECOND * (elapsedNs + skewMicros * 1000)) /
+        1e9;
+    let reason = null;
+    if (elapsedNs + skewMicros * 1000 < 0) reason = 'received-before-sent';
+    else if (distance > maxDistance) reason = 'faster-than-light';
+    return {
+        distanceMeters: Math.round(distance * 100) / 100,
+        elapsedMicros: elapsedNs / 1000,
+        maxDistanceMeters: Math.max(0, Math.round(maxDistance * 100) / 100),
+        impliedSpeedMetersPerSecond:
+            elapsedNs > 0 ? Math.round(distance / (elapsedNs / 1e9)) : null,
+        violation: reason !== null,
+        reason,
+    };
+}
+
+module.exports = {
+    SPEED_OF_LIGHT_METERS_PER_SECOND,
+    parseTimeNs,
+    assess,
+
+    /**
+     * Vehicle-only: report the timing of a message received from `vin`.
+     * The voter is the caller's certificate `vin` (an explicit neighborId must
+     * match it). The receive time must lie within wormhole.windowMinutes of
+     * the tx time. The receiver position defaults to the voter's latest stored
+     * location at the receive time (at most voting.locationMaxAgeSeconds old);
+     * that position comes from the private collection, so the stored vote and
+     * the response carry receiverPosition null instead.
+     * Returns { vin, decision, vote, voteKey, reporters, minReporters,
+     * ignored, before, after, delta, quarantined, policyVersion, trust };
+     * decision is 'leash-ok', 'leash-violation-pending' (too few reporters or
+     * no violation majority yet), 'penalized-leash-violation',
+     * 'known-violation' (already penalized in the window) or 'ignored-voter'.
+     */
+    async storePacketLeashVote(
+        ctx,
+        helpers,
+        vin,
+        neighborId,
+        sendTime,
+        receiveTime,
+        senderLongitude,
+        senderLatitude,
+        receiverLongitude,
+        receiverLatitude
+    ) {
+        helpers.requireRole(ctx, ['vehicle']);
+
+        if (!vin) throw new Error('vin is required');
+        const sendNs = parseTimeNs(sendTime, 'sendTime');
+        const receiveNs = parseTimeNs(receiveTime, 'receiveTime');
+        const sender = {
+            longitude: Number(senderLongitude),
+            latitude: Number(senderLatitude),
+        };
+        if (
+            String(senderLongitude ?? '').trim() === '' ||
+            String(senderLatitude ?? '').trim() === ''
+        ) {
+            throw new Error('senderLongitude and senderLatitude are required');
+        }
+        plausibility.assertCoordinates(sender.latitude, sender.longitude);
+
+        const vehKey = helpers.keyForVehicle(vin);
+        const data = await ctx.stub.getState(vehKey);
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+        lifecycle.assertActive(vehicle, vin, 'votes');
+        await lifecycle.assertCallerActive(ctx, helpers, 'votes');
+        const voter = voting.bindVoter(ctx, vin, neighborId);
+
+        const current = await policy.load(ctx);
+        const rules = current.wormhole;
+        const receivedAtMs = Number(receiveNs / 1000000n);
+        const hasReceiver =
+            String(receiverLongitude ?? '').trim() !== '' &&
+            String(receiverLatitude ?? '').trim() !== '';
+        let receiver;
+        if (hasReceiver) {
+            receiver = {
+                longitude: Number(receiverLongitude),
+                latitude: Number(receiverLatitude),
+            };
+            plausibility.assertCoordinates(
+                receiver.latitude,
+                receiver.longitude
+            );
+        } else {
+            const raw = await ctx.stub.getState(
+                helpers.keyForVehicle(voter.vin)
+            );
+            const stored = locations.locationNear(
+                await locations.getLocations(
+                    ctx,
+                    voter.vin,
+                    raw && raw.length ? JSON.parse(raw.toString()) : null
+                ),
+                receivedAtMs,
+                current.voting.locationMaxAgeSeconds * 1000
+            );
+            if (!stored) {
+                throw new Error(
+                    `No receiver position given or stored for voter ${voter.vin} at the receive time`
+                );
+            }
+            receiver = {
+                longitude: Number(stored.longitude),
+                latitude: Number(stored.latitude),
+            };
+        }
+
+        const result = assess(
+            sender,
+            receiver,
+            sendNs,
+            receiveNs,
+            rules.leashClockSkewMicros
+        );
+        const entry = {
+            neighborId: voter.vin,
+            voterMspId: voter.mspId,
+            txId: voter.txId,
+            sendTime: String(sendTime).trim(),
+            receiveTime: String(receiveTime).trim(),
+            senderPosition: sender,
+            receiverPosition: hasReceiver ? receiver : null,
+            ...result,
+            clockSkewMicros: rules.leashClockSkewMicros,
+            timestamp: new Date(receivedAtMs).toISOString(),
+        };
+        const signed = await signatures.verify(ctx, helpers, voter.vin, {
+            op: 'storePacketLeashVote',
+            vin: String(vin),
+            voter: voter.vin,
+            sendTime: entry.sendTime,
+            receiveTime: entry.receiveTime,
+            senderLongitude: sender.longitude,
+            senderLatitude: sender.latitude,
+            receiverLongitude: hasReceiver ? receiver.longitude : null,
+            receiverLatitude: hasReceiver ? receiver.latitude : null,
+            timestamp: entry.timestamp,
+        });
+        if (signed) entry.signed = signed;
+
+        // Each voter's latest report within the window counts once
+        const windowMs = rules.windowMinutes * 60 * 1000;
+        voting.assertVoteTime(ctx, helpers, entry.timestamp, windowMs);
+        const recent = (
+            await voteStore.getVotesInBuckets(
+                ctx,
+                'leash',
+                vin,
+                receivedAtMs - windowMs,
+                receivedAtMs + windowMs,
+                windowMs
+            )
+        )
+            .map((v) => v.entry)
+            .filter((e) => {
+                const t = Date.parse(e && e.timestamp);
+                return (
+                    Number.isFinite(t) && Math.abs(receivedAtMs - t) <= windowMs
+                );
+            });
+        const alreadyPenalized = recent.some((e) => e.penalized);
+        const latest = new Map();
+        for (const e of [...recent, entry]) {
+            const prev = latest.get(String(e.neighborId));
+            if (
+                !prev ||
+                parseTimeNs(prev.receiveTime) <= parseTimeNs(e.receiveTime)
+            ) {
+                latest.set(String(e.neighborId), e);
+            }
+        }
+
+        // Only votes that count under lib/voting.js can penalize
+        const tally = result.violation
+            ? await voting.tally(
+                  ctx,
+                  helpers,
+                  [...latest.values()].map((e) => ({
+                      ...e,
+                      vote: e.violation ? 0 : 1,
+                  }))
+              )
+            : null;
+        const reporters = tally
+            ? new Set(tally.zeros.map((e) => String(e.neighborId))).size
+            : 0;
+        const minReporters = Math.max(1, rules.leashMinReporters);
+        const before = Number(vehicle.trustedScoreWromehole);
+        let after = before;
+        let quarantined = false;
+        let decision = result.violation ? 'leash-violation' : 'leash-ok';
+        if (
+            tally &&
+            !tally.zeros.some((e) => String(e.neighborId) === voter.vin)
+        ) {
+            decision = 'ignored-voter';
+        } else if (result.violation && alreadyPenalized) {
+            decision = 'known-violation';
+        } else if (
+            result.violation &&
+            (reporters < minReporters || tally.majority !== 0)
+        ) {
+            decision = 'leash-violation-pending';
+        } else if (result.violation) {
+            decision = 'penalized-leash-violation';
+            entry.penalized = true;
+            after = Math.max(0, before - rules.leashPenalty);
+            vehicle.trustedScoreWromehole = after;
+            recovery.notePenalty(ctx, helpers, vehicle, 'wormhole');
+            await trust.refresh(ctx, vehicle);
+            quarantined = await quarantine.applyThreshold(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                {
+                    detector: 'wormhole',
+                    decision,
+                    before,
+                    after,
+                    policyVersion: current.version,
+                }
+            );
+            await ctx.stub.putState(
+                vehKey,
+                Buffer.from(JSON.stringify(vehicle))
+            );
+            events.emit(ctx, helpers, events.EVENT_TYPES.LEASH_VIOLATION, {
+                vin,
+                reportedBy: voter.vin,
+                reporters,
+                reason: result.reason,
+                distanceMeters: result.distanceMeters,
+                elapsedMicros: result.elapsedMicros,
+                maxDistanceMeters: result.maxDistanceMeters,
+                policyVersion: current.version,
+            });
+            events.trustScoreChanged(
+                ctx,
+                helpers,
+                vin,
+                'wormhole',
+                before,
+                after,
+                decision,
+                current.version
+            );
+        }
+        const voteKey = await voteStore.putBucketedVote(
+            ctx,
+            'leash',
+            vin,
+            `${voter.vin}~${voter.txId}`,
+            entry,
+            windowMs
+        );
+
+        return JSON.stringify({
+            vin,
+            decision,
+            vote: entry,
+            voteKey,
+            reporters,
+            minReporters,
+            ignored: tally ? tally.ignored : [],
+            before,
+            after,
+            delta: after - before,
+            quarantined,
+            policyVersion: current.version,
+            trust: await trust.summarize(ctx, vehicle),
+        });
+    },
+};
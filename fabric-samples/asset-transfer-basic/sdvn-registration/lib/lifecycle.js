@@ -0,0 +1,203 @@
+'use strict';
+
+// Vehicle lifecycle state machine. Imported by the main contract and executed
+// within the same transaction context (ctx).
+//
+//   registered --suspend--> suspended --reinstate--> registered
+//   registered|suspended --revoke--> revoked --reinstate (TA only)--> registered
+//   registered --(trust below threshold, see quarantine.js)--> quarantined
+//   quarantined --release (after review)--> registered
+//   quarantined --suspend|revoke--> suspended|revoked
+//   any state except deregistered --deregister--> deregistered (terminal)
+//
+// Every transition needs a reason and is appended to vehicle.statusTransitions.
+
+const events = require('./events');
+
+const STATUS = {
+    REGISTERED: 'registered',
+    SUSPENDED: 'suspended',
+    REVOKED: 'revoked',
+    DEREGISTERED: 'deregistered',
+    QUARANTINED: 'quarantined',
+};
+
+// Vehicles in these states may not vote, report locations or take part in
+// replay checks, and nobody may vote or report about them.
+const INACTIVE_STATUSES = [
+    STATUS.SUSPENDED,
+    STATUS.REVOKED,
+    STATUS.DEREGISTERED,
+];
+
+// Quarantined vehicles may still be voted and reported about (so detectors can
+// keep gathering evidence) but may not act themselves.
+const CALLER_INACTIVE_STATUSES = [...INACTIVE_STATUSES, STATUS.QUARANTINED];
+
+// action -> { to, from: allowed source states, roles: allowed caller roles }
+const TRANSITIONS = {
+    suspend: {
+        to: STATUS.SUSPENDED,
+        from: [STATUS.REGISTERED, STATUS.QUARANTINED],
+        roles: ['controller', 'trustedAuthority'],
+    },
+    revoke: {
+        to: STATUS.REVOKED,
+        from: [STATUS.REGISTERED, STATUS.SUSPENDED, STATUS.QUARANTINED],
+        roles: ['trustedAuthority'],
+    },
+    reinstate: {
+        to: STATUS.REGISTERED,
+        from: [STATUS.SUSPENDED, STATUS.REVOKED],
+        roles: ['controller', 'trustedAuthority'],
+    },
+    deregister: {
+        to: STATUS.DEREGISTERED,
+        from: [
+            STATUS.REGISTERED,
+            STATUS.SUSPENDED,
+            STATUS.REVOKED,
+            STATUS.QUARANTINED,
+        ],
+        roles: ['controller', 'trustedAuthority'],
+    },
+    release: {
+        to: STATUS.REGISTERED,
+        from: [STATUS.QUARANTINED],
+        roles: ['controller', 'trustedAuthority'],
+    },
+};
+
+// Free-text statuses written before the state machine existed count as registered.
+function statusOf(vehicle) {
+    const s = String((vehicle && vehicle.registrationStatus) || '')
+        .trim()
+        .toLowerCase();
+    return Object.values(STATUS).includes(s) ? s : STATUS.REGISTERED;
+}
+
+function isActive(vehicle) {
+    return !INACTIVE_STATUSES.includes(statusOf(vehicle));
+}
+
+module.exports = {
+    STATUS,
+    TRANSITIONS,
+    statusOf,
+    isActive,
+
+    /**
+     * Throw if the vehicle the action is about is suspended, revoked or deregistered.
+     */
+    assertActive(vehicle, vin, action) {
+        if (!isActive(vehicle)) {
+            throw new Error(
+                `Vehicle ${vin} is ${statusOf(vehicle)}; ${action} refused`
+            );
+        }
+    },
+
+    /**
+     * Throw if the caller is a vehicle identity whose own record is not active
+     * or is quarantined.
+     * Non-vehicle callers and vehicles without a record are not restricted here.
+     */
+    async assertCallerActive(ctx, helpers, action) {
+        if (helpers.getClientRole(ctx) !== 'vehicle') return;
+        const callerVin = ctx.clientIdentity.getAttributeValue('vin');
+        if (!callerVin) return;
+        const data = await ctx.stub.getState(helpers.keyForVehicle(callerVin));
+        if (!data || !data.length) return;
+        const caller = JSON.parse(data.toString());
+        if (CALLER_INACTIVE_STATUSES.includes(statusOf(caller))) {
+            throw new Error(
+                `Calling vehicle ${callerVin} is ${statusOf(
+                    caller
+                )}; ${action} refused`
+            );
+        }
+    },
+
+    /**
+     * Apply a lifecycle action ('suspend' | 'revoke' | 'reinstate' |
+     * 'deregister' | 'release').
+     * Reinstating a revoked vehicle is reserved to the trusted authority.
+     * Leaving quarantine (release after review, or suspend/revoke/deregister)
+     * moves vehicle.quarantine into the transition record.
+     */
+    async transition(ctx, helpers, vin, action, reason) {
+        const rule = TRANSITIONS[action];
+        if (!rule) throw new Error(`Unknown lifecycle action '${action}'`);
+        const role = helpers.requireRole(ctx, rule.roles);
+        if (!vin) throw new Error('vin is required');
+        if (!reason || !String(reason).trim()) {
+            throw new Error('reason is required');
+        }
+
+        const vehKey = helpers.keyForVehicle(vin);
+        const data = await ctx.stub.getState(vehKey);
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+
+        const from = statusOf(vehicle);
+        if (!rule.from.includes(from)) {
+            throw new Error(
+                `Cannot ${action} vehicle ${vin} in status '${from}'`
+            );
+        }
+        if (
+            action === 'reinstate' &&
+            from === STATUS.REVOKED &&
+            role !== 'trustedauthority'
+        ) {
+            throw new Error(
+                'Only trustedAuthority can reinstate a revoked vehicle'
+            );
+        }
+
+        const now = helpers.txNowIso(ctx);
+        const record = {
+            from,
+            to: rule.to,
+            action,
+            reason: String(reason).trim(),
+            role,
+            actor: ctx.clientIdentity.getID(),
+            txId: ctx.stub.getTxID(),
+            timestamp: now,
+        };
+        if (from === STATUS.QUARANTINED && vehicle.quarantine) {
+            record.quarantine = vehicle.quarantine;
+            delete vehicle.quarantine;
+        }
+        vehicle.registrationStatus = rule.to;
+        if (!Array.isArray(vehicle.statusTransitions)) {
+            vehicle.statusTransitions = [];
+        }
+        vehicle.statusTransitions.push(record);
+        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+
+        // A deregistered VIN no longer counts as registered in the VIN registry
+        if (rule.to === STATUS.DEREGISTERED) {
+            const authKey = helpers.keyForVinAuthority(vin);
+            const auth = await ctx.stub.getState(authKey);
+            if (auth && auth.length) {
+                const authRecord = JSON.parse(auth.toString());
+                authRecord.registered = false;
+                authRecord.deregisteredAt = now;
+                await ctx.stub.putState(
+                    authKey,
+                    Buffer.from(JSON.stringify(authRecord))
+                );
+            }
+        }
+
+        events.emit(ctx, helpers, events.EVENT_TYPES.VEHICLE_STATUS_CHANGED, {
+            vin,
+            from,
+            to: rule.to,
+            reason: record.reason,
+        });
+        return JSON.stringify({ vin, ...record });
+    },
+};
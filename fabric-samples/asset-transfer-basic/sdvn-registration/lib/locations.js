@@ -0,0 +1,129 @@
+'use strict';
+
+// Location trace helpers. Raw coordinates are kept in a private data collection
+// (see collections_config.json) so only member orgs' peers hold them; the public
+// vehicle:<vin> record carries only a summary with the hash of the last entry.
+// Each entry carries a client-chosen random salt (kept in the collection) that
+// is hashed with the coordinates, so the public hash cannot be brute-forced
+// back to a position.
+
+const crypto = require('crypto');
+const policy = require('./policy');
+
+const LOCATION_COLLECTION = 'vehicleLocationsCollection';
+const MIN_SALT_LENGTH = 16;
+
+function keyForLocations(vin) {
+    return `location:${vin}`;
+}
+
+function hashLocation(entry) {
+    return crypto
+        .createHash('sha256')
+        .update(
+            JSON.stringify({
+                salt: entry.salt,
+                latitude: entry.latitude,
+                longitude: entry.longitude,
+                timestamp: entry.timestamp,
+            })
+        )
+        .digest('hex');
+}
+
+/**
+ * Validate the salt of a new location entry: a random string of at least
+ * MIN_SALT_LENGTH characters. It must come from the client (transient data)
+ * because endorsing peers cannot agree on chaincode-generated randomness.
+ */
+function assertSalt(salt) {
+    if (typeof salt !== 'string' || salt.trim().length < MIN_SALT_LENGTH) {
+        throw new Error(
+            `location salt must be a random string of at least ${MIN_SALT_LENGTH} characters`
+        );
+    }
+    return salt.trim();
+}
+
+module.exports = {
+    LOCATION_COLLECTION,
+    MIN_SALT_LENGTH,
+    hashLocation,
+    assertSalt,
+
+    /**
+     * Read the private location trace of a VIN (oldest first). Locations still
+     * embedded in a legacy public `vehicle.locations` array are returned when
+     * no private trace exists yet.
+     */
+    async getLocations(ctx, vin, vehicle) {
+        const data = await ctx.stub.getPrivateData(
+            LOCATION_COLLECTION,
+            keyForLocations(vin)
+        );
+        if (data && data.length) {
+            const rec = JSON.parse(data.toString());
+            return Array.isArray(rec.locations) ? rec.locations : [];
+        }
+        return vehicle && Array.isArray(vehicle.locations)
+            ? vehicle.locations
+            : [];
+    },
+
+    /**
+     * Latest location at or before `atMs` (epoch ms), or null.
+     */
+    latestLocationAt(locations, atMs) {
+        let best = null;
+        let bestT = -Infinity;
+        for (const loc of locations) {
+            const t = Date.parse(loc && loc.timestamp);
+            if (Number.isFinite(t) && t <= atMs && t >= bestT) {
+                best = loc;
+                bestT = t;
+            }
+        }
+        return best;
+    },
+
+    /**
+     * Latest plausible location (not flagged by lib/plausibility.js) at or
+     * before `atMs` and at most `maxAgeMs` older, or null.
+     */
+    locationNear(locations, atMs, maxAgeMs) {
+        const loc = module.exports.latestLocationAt(
+            locations.filter((l) => l && !l.implausible),
+            atMs
+        );
+        if (!loc || atMs - Date.parse(loc.timestamp) > maxAgeMs) return null;
+        return loc;
+    },
+
+    /**
+     * Append a location to the private trace, keeping the most recent
+     * policy.locations.maxEntries entries. Moves any legacy public `vehicle.locations` into the
+     * collection and replaces them with `vehicle.locationSummary`; the caller
+     * persists the vehicle record.
+     */
+    async appendLocation(ctx, vin, vehicle, entry) {
+        let locations = await module.exports.getLocations(ctx, vin, vehicle);
+        locations = locations.concat([entry]);
+        const { maxEntries } = (await policy.load(ctx)).locations;
+        const max = Math.max(1, Math.floor(maxEntries));
+        if (locations.length > max) {
+            locations = locations.slice(-max);
+        }
+        await ctx.stub.putPrivateData(
+            LOCATION_COLLECTION,
+            keyForLocations(vin),
+            Buffer.from(JSON.stringify({ vin, locations }))
+        );
+        delete vehicle.locations;
+        vehicle.locationSummary = {
+            count: locations.length,
+            lastTimestamp: entry.timestamp,
+            lastHash: hashLocation(entry),
+        };
+        return locations;
+    },
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+// Physical plausibility of location updates. Imported by the main contract and
+// executed within the same transaction context (ctx).
+//
+// storeLocation checks each new point against the vehicle's previous plausible
+// points in its private trace (lib/locations.js):
+//  - speed: haversine distance, less plausibility.gpsToleranceMeters of GPS
+//    noise, over the elapsed time must not exceed maxSpeedMetersPerSecond
+//  - acceleration: the change from the speed over the two points before must
+//    not exceed maxAccelerationMetersPerSecond2
+// An impossible jump is wormhole/GPS-spoofing evidence: the point is stored
+// marked `implausible` (and not used as a reference for later points), the
+// vehicle loses plausibility.penalty on its wormhole score and a
+// LocationImplausible event is emitted. The event carries only the reasons,
+// distance, time and speeds, never the coordinates of the private trace.
+
+const events = require('./events');
+const geo = require('./geo');
+const policy = require('./policy');
+const quarantine = require('./quarantine');
+const recovery = require('./recovery');
+const trust = require('./trust');
+
+function round(n, digits) {
+    const f = 10 ** digits;
+    return Math.round(n * f) / f;
+}
+
+/**
+ * Throw unless latitude is within ±90 and longitude within ±180 degrees.
+ */
+function assertCoordinates(latitude, longitude) {
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        throw new Error('latitude and longitude must be numbers');
+    }
+    if (latitude < -90 || latitude > 90) {
+        throw new Error('latitude must be between -90 and 90');
+    }
+    if (longitude < -180 || longitude > 180) {
+        throw new Error('longitude must be between -180 and 180');
+    }
+}
+
+// Speed between two timed points in m/s after removing GPS noise; Infinity
+// when the points are apart but not apart in time
+function speedBetween(from, to, rules) {
+    const meters = Math.max(
+        0,
+        geo.haversineMeters(from.loc, to.loc) - rules.gpsToleranceMeters
+    );
+    const seconds = (to.t - from.t) / 1000;
+    if (seconds <= 0) return meters > 0 ? Infinity : 0;
+    return meters / seconds;
+}
+
+/**
+ * Compare `entry` with the latest plausible points of `trace` at or before its
+ * timestamp. Returns { checked, plausible, reasons, previousTimestamp,
+ * distanceMeters, elapsedSeconds, speedMetersPerSecond,
+ * accelerationMetersPerSecond2 }; `checked` is false when there is no earlier
+ * point to compare with. No coordinates are returned: the result reaches the
+ * public ledger through events and transaction responses.
+ */
+function assess(trace, entry, rules) {
+    const t = Date.parse(entry.timestamp);
+    const points = trace
+        .filter((loc) => loc && !loc.implausible && geo.toPoint(loc))
+        .map((loc) => ({ loc, t: Date.parse(loc.timestamp) }))
+        .filter((p) => Number.isFinite(p.t) && p.t <= t)
+        .sort((a, b) => a.t - b.t);
+    const current = { loc: entry, t };
+    const prev = points[points.length - 1];
+    if (!prev) {
+        return { checked: false, plausible: true, reasons: [] };
+    }
+
+    const reasons = [];
+    const speed = speedBetween(prev, current, rules);
+    if (speed > rules.maxSpeedMetersPerSecond) reasons.push('speed');
+
+    let acceleration = null;
+    const prev2 = points[points.length - 2];
+    if (prev2 && prev2.t < prev.t && Number.isFinite(speed) && t > prev.t) {
+        // Speeds are averages over each leg, so compare them across the
+        // time between the legs' midpoints
+        const earlier = speedBetween(prev2, prev, rules);
+        acceleration = Math.abs(speed - earlier) / ((t - prev2.t) / 2000);
+        if (acceleration > rules.maxAccelerationMetersPerSecond2) {
+            reasons.push('acceleration');
+        }
+    }
+
+    return {
+        checked: true,
+        plausible: reasons.length === 0,
+        reasons,
+        previousTimestamp: prev.loc.timestamp,
+        distanceMeters: round(geo.haversineMeters(prev.loc, entry), 2),
+        elapsedSeconds: round((t - prev.t) / 1000, 3),
+        speedMetersPerSecond: Number.isFinite(speed) ? round(speed, 2) : null,
+        accelerationMetersPerSecond2:
+            acceleration === null ? null : round(acceleration, 2),
+    };
+}
+
+module.exports = {
+    assertCoordinates,
+    assess,
+
+    /**
+     * Check a new location `entry` of `vin` against its stored `trace` before
+     * it is appended. Rejects timestamps that do not parse or lie more than
+     * plausibility.maxClockSkewSeconds ahead of the transaction time. An
+     * implausible point is marked on `entry` (`implausible`, `plausibility`)
+     * and penalized; the caller persists `vehicle`.
+     * Returns { ...assess(), before, after, quarantined }.
+     */
+    async check(ctx, helpers, vin, vehicle, trace, entry) {
+        const current = await policy.load(ctx);
+        const rules = current.plausibility;
+        const t = Date.parse(entry.timestamp);
+        if (!Number.isFinite(t)) {
+            throw new Error('location timestamp must be an ISO date');
+        }
+        const nowMs = Date.parse(helpers.txNowIso(ctx));
+        if (t - nowMs > rules.maxClockSkewSeconds * 1000) {
+            throw new Error(
+                `location timestamp ${entry.timestamp} is more than ${rules.maxClockSkewSeconds}s ahead of the transaction time`
+            );
+        }
+
+        const result = assess(trace, entry, rules);
+        const before = Number(vehicle.trustedScoreWromehole);
+        if (result.plausible) {
+            return { ...result, before, after: before, quarantined: false };
+        }
+
+        entry.implausible = true;
+        entry.plausibility = {
+            reasons: result.reasons,
+            previousTimestamp: result.previousTimestamp,
+            speedMetersPerSecond: result.speedMetersPerSecond,
+            accelerationMetersPerSecond2: result.accelerationMetersPerSecond2,
+        };
+        const decision = 'penalized-implausible-location';
+        const after = Math.max(0, before - rules.penalty);
+        vehicle.trustedScoreWromehole = after;
+        recovery.notePenalty(ctx, helpers, vehicle, 'wormhole');
+        await trust.refresh(ctx, vehicle);
+        const quarantined = await quarantine.applyThreshold(
+            ctx,
+            helpers,
+            vin,
+            vehicle,
+            {
+                detector: 'wormhole',
+                decision,
+                before,
+                after,
+                policyVersion: current.version,
+            }
+        );
+        events.emit(ctx, helpers, events.EVENT_TYPES.LOCATION_IMPLAUSIBLE, {
+            vin,
+            reasons: result.reasons,
+            distanceMeters: result.distanceMeters,
+            elapsedSeconds: result.elapsedSeconds,
+            speedMetersPerSecond: result.speedMetersPerSecond,
+            accelerationMetersPerSecond2: result.accelerationMetersPerSecond2,
+            policyVersion: current.version,
+        });
+        events.trustScoreChanged(
+            ctx,
+            helpers,
+            vin,
+            'wormhole',
+            before,
+            after,
+            decision,
+            current.version
+        );
+        return { ...result, before, after, quarantined };
+    },
+};
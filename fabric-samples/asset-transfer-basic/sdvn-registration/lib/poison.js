@@ -3,29 +3,21 @@
 // Poison attack mitigation helpers. Imported by the main contract and
 // executed within the same transaction context (ctx).
 
-const WINDOW_MS_10MIN = 10 * 60 * 1000;
-const WINDOW_MS_24H = 24 * 60 * 60 * 1000;
+const voteStore = require('./votes');
+const events = require('./events');
+const lifecycle = require('./lifecycle');
+const quarantine = require('./quarantine');
+const policy = require('./policy');
+const trust = require('./trust');
+const recovery = require('./recovery');
+const voting = require('./voting');
+const signatures = require('./signatures');
 
 function toNumberOrZero(v) {
     const n = Number(v);
     return Number.isFinite(n) ? n : 0;
 }
 
-function computeOverallTrust(vehicle) {
-    const scores = [
-        toNumberOrZero(vehicle.trustedScoreSybil),
-        toNumberOrZero(vehicle.trustedScoreWromehole),
-        toNumberOrZero(vehicle.trustScoreBlackhole),
-        toNumberOrZero(vehicle.trustScorePoison),
-        toNumberOrZero(vehicle.trustScoreReplay),
-    ];
-    const valid = scores.filter((n) => Number.isFinite(n));
-    const avg = valid.length
-        ? valid.reduce((a, b) => a + b, 0) / valid.length
-        : 0;
-    return Math.round(avg);
-}
-
 function normalizeIso(ts) {
     const s = String(ts || '').trim();
     return s || null;
@@ -42,11 +34,6 @@ function parseMaybeJson(objOrStr) {
     }
 }
 
-// Tolerances for matching numeric routing metrics
-const TOL_LINK_QUALITY = 0.05; // absolute tolerance
-const TOL_LATENCY = 1.0; // milliseconds (or consistent unit)
-const TOL_BANDWIDTH = 0.5; // Mbps (or consistent unit)
-
 function approxEqual(a, b, tol) {
     const na = Number(a);
     const nb = Number(b);
@@ -63,7 +50,8 @@ function arraysEqual(a, b) {
     return true;
 }
 
-function routingDataMatches(a, b) {
+// `rules` is the poison section of the policy (numeric metric tolerances)
+function routingDataMatches(a, b, rules) {
     if (!a || !b) return false;
     // Compare core identifiers
     if (String(a.DestinationID) !== String(b.DestinationID)) return false;
@@ -71,10 +59,12 @@ function routingDataMatches(a, b) {
     if (!arraysEqual(a.Path, b.Path)) return false;
     if (toNumberOrZero(a.HopCount) !== toNumberOrZero(b.HopCount)) return false;
     // Numeric with tolerance
-    if (!approxEqual(a.LinkQuality, b.LinkQuality, TOL_LINK_QUALITY))
+    if (!approxEqual(a.LinkQuality, b.LinkQuality, rules.linkQualityTolerance))
+        return false;
+    if (!approxEqual(a.Latency, b.Latency, rules.latencyTolerance))
+        return false;
+    if (!approxEqual(a.Bandwidth, b.Bandwidth, rules.bandwidthTolerance))
         return false;
-    if (!approxEqual(a.Latency, b.Latency, TOL_LATENCY)) return false;
-    if (!approxEqual(a.Bandwidth, b.Bandwidth, TOL_BANDWIDTH)) return false;
     // Ignore Timestamp field differences; compare Status loosely
     if (a.Status !== undefined || b.Status !== undefined) {
         if (
@@ -89,11 +79,16 @@ function routingDataMatches(a, b) {
 module.exports = {
     /**
      * Vehicle-only: store a neighbor's routing-data vote for a VIN.
-     * Appends to vehicle.neighborArrayRoutingData with fields:
-     *  - neighborId
+     * Stored under its own poison vote key (see lib/votes.js) with fields:
+     *  - neighborId (the caller's certificate `vin`; an explicit neighborId must match it)
+     *  - voterMspId, txId
      *  - vote (1 or 0)
      *  - routingData: {}
-     *  - timestamp (ISO; uses tx time if not provided)
+     *  - timestamp (ISO; uses tx time if not provided; must lie within
+     *    poison.windowMinutes of the tx time)
+     *  - signed (when the voter signed the vote, see lib/signatures.js)
+     * One vote per voter, target and window (lib/votes.js replaceVote): a
+     * repeated vote replaces the earlier one. Vehicles cannot vote about themselves.
      */
     async storeNeighborRoutingVote(
         ctx,
@@ -106,47 +101,81 @@ module.exports = {
     ) {
         helpers.requireRole(ctx, ['vehicle']);
 
-        if (!vin || !neighborId || vote === undefined || vote === null) {
-            throw new Error('vin, neighborId and vote are required');
+        if (!vin || vote === undefined || vote === null) {
+            throw new Error('vin and vote are required');
         }
 
         const v = Number(vote) === 1 ? 1 : 0;
         const vehKey = helpers.keyForVehicle(vin);
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
-
         const vehicle = JSON.parse(data.toString());
-        if (!Array.isArray(vehicle.neighborArrayRoutingData)) {
-            vehicle.neighborArrayRoutingData = [];
-        }
+        lifecycle.assertActive(vehicle, vin, 'votes');
+        await lifecycle.assertCallerActive(ctx, helpers, 'votes');
+        const voter = voting.bindVoter(ctx, vin, neighborId);
 
         const entry = {
-            neighborId: String(neighborId),
+            neighborId: voter.vin,
+            voterMspId: voter.mspId,
+            txId: voter.txId,
             vote: v,
             routingData: parseMaybeJson(routingData),
             timestamp: normalizeIso(timestamp) || helpers.txNowIso(ctx),
         };
-
-        vehicle.neighborArrayRoutingData.push(entry);
-
-        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        const signed = await signatures.verify(ctx, helpers, voter.vin, {
+            op: 'storePoisonNeighborRoutingVote',
+            vin: String(vin),
+            voter: voter.vin,
+            vote: v,
+            routingData: entry.routingData,
+            timestamp: normalizeIso(timestamp),
+        });
+        if (signed) entry.signed = signed;
+
+        const { windowMinutes } = (await policy.load(ctx)).poison;
+        voting.assertVoteTime(
+            ctx,
+            helpers,
+            entry.timestamp,
+            windowMinutes * 60 * 1000
+        );
+        const stored = await voteStore.replaceVote(
+            ctx,
+            'poison',
+            vin,
+            voter.vin,
+            entry,
+            windowMinutes * 60 * 1000,
+            vehicle
+        );
+        if (stored.legacyChanged) {
+            await ctx.stub.putState(
+                vehKey,
+                Buffer.from(JSON.stringify(vehicle))
+            );
+        }
         return JSON.stringify({
             vin,
             lastVote: entry,
-            count: vehicle.neighborArrayRoutingData.length,
+            voteKey: stored.key,
+            replaced: stored.replaced,
         });
     },
 
     /**
      * Vehicle-only: cross-validate vehicle's routing data vs neighbor votes.
-     * Inputs: vin, routingDataV (object or JSON string), timestampV (ISO)
+     * Refused while the vehicle is quarantined, suspended or revoked.
+     * Inputs: vin, routingDataV (object or JSON string), timestampV (ISO;
+     * defaults to the tx time, must lie within the window below up to
+     * poison.maxClockSkewSeconds ahead of the tx time)
      * Steps:
-     *  - Use timestampV as reference; consider neighbor votes in [timestampV-10min, timestampV]
-     *  - During this call, purge neighborArrayRoutingData older than 24h
+     *  - Use the transaction time as reference; consider neighbor votes in
+     *    [txTime - poison.windowMinutes (default 10), txTime]
+     *  - During this call, purge poison votes older than poison.voteRetentionHours (default 24)
      *  - If majority votes are 1:
-     *      - Compare one of the voted routingData entries with routingDataV (ignore Timestamp, small numeric tolerances)
-     *      - If not matching -> reduce trustScorePoison by 1
-     *  - If majority votes are 0: reduce trustScorePoison by 2
+     *      - Compare one of the voted routingData entries with routingDataV (ignore Timestamp, policy numeric tolerances)
+     *      - If not matching -> reduce trustScorePoison by poison.mismatchPenalty (default 1)
+     *  - If majority votes are 0: reduce trustScorePoison by poison.majority0Penalty (default 2)
      *  - Update stored overallTrustScore if trust changed
      */
     async crossValidationPoison(ctx, helpers, vin, routingDataV, timestampV) {
@@ -159,34 +188,59 @@ module.exports = {
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
+        await lifecycle.assertCallerActive(ctx, helpers, 'cross-validation');
 
         const rdV = parseMaybeJson(routingDataV);
-        const tsStr = normalizeIso(timestampV) || helpers.txNowIso(ctx);
-        const tRef = Date.parse(tsStr);
-        if (!Number.isFinite(tRef)) throw new Error('timestampV is invalid');
-
-        const windowStart = tRef - WINDOW_MS_10MIN;
-        const cutoff24h = tRef - WINDOW_MS_24H;
+        const nowIso = helpers.txNowIso(ctx);
+        const tsStr = normalizeIso(timestampV) || nowIso;
+        const tsV = Date.parse(tsStr);
+        if (!Number.isFinite(tsV)) throw new Error('timestampV is invalid');
+        await signatures.verify(
+            ctx,
+            helpers,
+            vin,
+            {
+                op: 'crossValidationPoison',
+                vin: String(vin),
+                routingData: rdV,
+                timestamp: normalizeIso(timestampV),
+            },
+            vehicle
+        );
+
+        const { poison: rules, version: policyVersion } = await policy.load(
+            ctx
+        );
+        // The window ends at the tx time, not at the caller's timestampV
+        const tRef = Date.parse(nowIso);
+        const windowStart = tRef - rules.windowMinutes * 60 * 1000;
+        const retentionStart = tRef - rules.voteRetentionHours * 60 * 60 * 1000;
+        if (
+            tsV < windowStart ||
+            tsV - tRef > rules.maxClockSkewSeconds * 1000
+        ) {
+            throw new Error(
+                `timestampV ${tsStr} lies outside the ${rules.windowMinutes} minute window ending at the transaction time`
+            );
+        }
 
-        const allVotes = Array.isArray(vehicle.neighborArrayRoutingData)
-            ? vehicle.neighborArrayRoutingData
-            : [];
+        const allVotes = await voteStore.getVotes(ctx, 'poison', vin, vehicle);
 
-        // Purge >24h old while building recent window
+        // Purge votes past retention while building recent window
         const recent = [];
-        const kept = [];
-        for (const e of allVotes) {
+        const stale = [];
+        for (const v of allVotes) {
+            const e = v.entry;
             const te = Date.parse(e && e.timestamp);
-            if (!Number.isFinite(te)) continue; // skip malformed
-            if (te >= cutoff24h) {
-                kept.push(e);
+            if (Number.isFinite(te) && te >= retentionStart) {
                 if (te >= windowStart && te <= tRef) recent.push(e);
+            } else {
+                stale.push(v); // past retention or malformed
             }
         }
 
-        // Persist purged list if changed
-        if (kept.length !== allVotes.length) {
-            vehicle.neighborArrayRoutingData = kept;
+        // Delete purged votes; persist the vehicle if legacy entries changed
+        if (await voteStore.deleteVotes(ctx, 'poison', stale, vehicle)) {
             await ctx.stub.putState(
                 vehKey,
                 Buffer.from(JSON.stringify(vehicle))
@@ -194,59 +248,133 @@ module.exports = {
         }
 
         if (recent.length === 0) {
+            const before = toNumberOrZero(vehicle.trustScorePoison);
+            const rewards = await recovery.applyRewards(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                'poison'
+            );
+            if (rewards.length) {
+                await trust.refresh(ctx, vehicle);
+                await ctx.stub.putState(
+                    vehKey,
+                    Buffer.from(JSON.stringify(vehicle))
+                );
+            }
+            const after = toNumberOrZero(vehicle.trustScorePoison);
             return JSON.stringify({
                 vin,
                 decision: 'no-votes',
                 considered: 0,
-                before: toNumberOrZero(vehicle.trustScorePoison),
-                after: toNumberOrZero(vehicle.trustScorePoison),
-                delta: 0,
+                before,
+                after,
+                delta: after - before,
+                rewards,
+                policyVersion,
+                trust: await trust.summarize(ctx, vehicle),
             });
         }
 
-        const ones = recent.filter((e) => Number(e.vote) === 1);
-        const zeros = recent.filter((e) => Number(e.vote) !== 1);
+        // Reputation-weighted majority (lib/voting.js)
+        const tally = await voting.tally(ctx, helpers, recent, {
+            vin,
+            vehicle,
+        });
 
         let decision = 'no-change';
         let delta = 0;
 
-        if (ones.length > zeros.length) {
-            // Majority 1: compare one voted routingData to provided routingDataV
-            const sample = ones.find((e) => e && e.routingData) || ones[0];
-            const match = routingDataMatches(sample && sample.routingData, rdV);
+        if (tally.majority === 1) {
+            // Majority 1: compare the routingData of the most trusted "1" voter
+            // with the provided routingDataV
+            const withData = tally.ones.filter((e) => e && e.routingData);
+            const sample = (withData.length ? withData : tally.ones).reduce(
+                (a, b) => (b.weight > a.weight ? b : a)
+            );
+            const match = routingDataMatches(
+                sample && sample.routingData,
+                rdV,
+                rules
+            );
             if (!match) {
                 decision = 'penalized-mismatch';
-                delta = -1;
+                delta = -rules.mismatchPenalty;
             } else {
                 decision = 'majority1-match-no-penalty';
             }
-        } else if (zeros.length > ones.length) {
+        } else if (tally.majority === 0) {
             decision = 'penalized-majority0';
-            delta = -2;
+            delta = -rules.majority0Penalty;
         } else {
             decision = 'no-majority';
         }
 
         const before = toNumberOrZero(vehicle.trustScorePoison);
-        const after = Math.max(0, before + delta);
+        let after = Math.max(0, before + delta);
 
+        let quarantined = false;
+        let rewards = [];
         if (delta !== 0) {
             vehicle.trustScorePoison = after;
-            vehicle.overallTrustScore = computeOverallTrust(vehicle);
+            recovery.notePenalty(ctx, helpers, vehicle, 'poison');
+            await trust.refresh(ctx, vehicle);
+            quarantined = await quarantine.applyThreshold(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                { detector: 'poison', decision, before, after, policyVersion }
+            );
             await ctx.stub.putState(
                 vehKey,
                 Buffer.from(JSON.stringify(vehicle))
             );
+            events.trustScoreChanged(
+                ctx,
+                helpers,
+                vin,
+                'poison',
+                before,
+                after,
+                decision,
+                policyVersion
+            );
+        } else {
+            // No penalty: apply recovery earned by now (lib/recovery.js)
+            rewards = await recovery.applyRewards(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                'poison',
+                { positiveMajority: decision === 'majority1-match-no-penalty' }
+            );
+            if (rewards.length) {
+                await trust.refresh(ctx, vehicle);
+                await ctx.stub.putState(
+                    vehKey,
+                    Buffer.from(JSON.stringify(vehicle))
+                );
+            }
+            after = toNumberOrZero(vehicle.trustScorePoison);
+            delta = after - before;
         }
 
         return JSON.stringify({
             vin,
             decision,
             considered: recent.length,
+            tally: voting.report(tally),
             before,
             after,
             delta,
             overallAfter: vehicle.overallTrustScore,
+            quarantined,
+            rewards,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 
@@ -263,18 +391,42 @@ module.exports = {
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
 
+        const { version: policyVersion } = await policy.load(ctx);
         const reduceBy = Math.max(0, Number(delta) || 1);
 
         const before = toNumberOrZero(vehicle.trustScorePoison);
         const after = Math.max(0, before - reduceBy);
         vehicle.trustScorePoison = after;
+        recovery.notePenalty(ctx, helpers, vehicle, 'poison');
 
         // Update stored overallTrustScore for convenience
         const overallBefore = toNumberOrZero(vehicle.overallTrustScore);
-        const overallAfter = computeOverallTrust(vehicle);
-        vehicle.overallTrustScore = overallAfter;
+        const overallAfter = (await trust.refresh(ctx, vehicle)).overall;
+        const quarantined = await quarantine.applyThreshold(
+            ctx,
+            helpers,
+            vin,
+            vehicle,
+            {
+                detector: 'poison',
+                decision: 'manual-reduction',
+                before,
+                after,
+                policyVersion,
+            }
+        );
 
         await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        events.trustScoreChanged(
+            ctx,
+            helpers,
+            vin,
+            'poison',
+            before,
+            after,
+            'manual-reduction',
+            policyVersion
+        );
         return JSON.stringify({
             vin,
             action: 'reduced-poison',
@@ -283,6 +435,9 @@ module.exports = {
             delta: -reduceBy,
             overallBefore,
             overallAfter,
+            quarantined,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 };
@@ -0,0 +1,291 @@
+'use strict';
+
+// Versioned detection policy kept on the ledger. Tolerances, windows, penalties
+// and buffer sizes used by the detector libs are read from here instead of being
+// hardcoded, so tuning them does not need a chaincode upgrade.
+//
+// The current document lives under 'config:policy'; every version is also kept
+// under 'config:policy:v<version>' so decisions can be traced back to the exact
+// settings that produced them. Until the trusted authority stores a policy,
+// DEFAULT_POLICY applies as version 0.
+
+const events = require('./events');
+
+const POLICY_KEY = 'config:policy';
+
+const DEFAULT_POLICY = {
+    wormhole: {
+        matchToleranceMeters: 55, // reported position vs vote consensus
+        outlierMinMeters: 30, // votes closer than this to the median are kept
+        outlierMadFactor: 3, // ... and beyond this x median distance rejected
+        minRanges: 3, // ranging measurements needed to multilaterate (>= 3)
+        rangingToleranceMeters: 100, // reported position vs multilateration
+        rangingMismatchPenalty: 2,
+        leashClockSkewMicros: 10, // clock sync bound for packet leashes (~3 km of light travel)
+        leashPenalty: 2,
+        leashMinReporters: 2, // distinct counted voters reporting a violation per window
+        windowMinutes: 10,
+        mismatchPenalty: 1,
+        majority0Penalty: 2,
+        v3WindowMinutes: 60,
+        v3Majority0Penalty: 1,
+        voteRetentionHours: 24,
+    },
+    blackhole: {
+        windowMinutes: 10,
+        defaultPenalty: 1,
+    },
+    poison: {
+        windowMinutes: 10,
+        voteRetentionHours: 24,
+        linkQualityTolerance: 0.05, // absolute tolerance
+        latencyTolerance: 1.0, // milliseconds (or consistent unit)
+        bandwidthTolerance: 0.5, // Mbps (or consistent unit)
+        mismatchPenalty: 1,
+        majority0Penalty: 2,
+        maxClockSkewSeconds: 30, // how far timestampV may be ahead of tx time
+    },
+    sybil: {
+        distanceToleranceMeters: 5, // positions closer than this count as identical
+        timeToleranceSeconds: 2, // ... when reported this close in time
+        minMatchedPoints: 3,
+        minMatchRatio: 0.8, // matched / compared points
+        trajectoryPenalty: 5,
+        sharedKeyPenalty: 10,
+        maxCandidates: 20,
+    },
+    replay: {
+        windowHours: 24,
+        penalty: 2, // deducted from trustScoreReplay per detected replay
+        mode: 'flow-id', // see CHOICES
+        sequenceWindowSize: 64, // bits, sequence-window mode
+        maxClockSkewSeconds: 30, // how far a send time may be ahead of tx time
+    },
+    locations: {
+        maxEntries: 20,
+    },
+    plausibility: {
+        maxSpeedMetersPerSecond: 70, // ~250 km/h between consecutive points
+        maxAccelerationMetersPerSecond2: 10,
+        gpsToleranceMeters: 20, // GPS noise ignored when computing speed
+        maxClockSkewSeconds: 30, // how far a location may be ahead of tx time
+        penalty: 2, // deducted from the wormhole score per implausible point
+    },
+    signatures: {
+        required: false, // vehicle-signed payloads mandatory (lib/signatures.js)
+        maxAgeSeconds: 300, // signed timestamp vs tx time; 0 disables the check
+    },
+    quarantine: {
+        threshold: 50,
+    },
+    recovery: {
+        penaltyFreeHours: 24, // 0 disables penalty-free recovery
+        penaltyFreeReward: 1,
+        majorityReward: 1, // 0 disables positive-majority rewards
+        majorityRewardIntervalMinutes: 60,
+        cap: 100,
+    },
+    voting: {
+        minVoterTrust: 10, // votes from voters below this overall trust are ignored
+        radioRangeMeters: 1000, // voter-target distance limit; 0 disables
+        locationMaxAgeSeconds: 60, // locations older than this at vote time are unknown
+        outOfRangeAction: 'discard', // see CHOICES
+        outOfRangeWeight: 0.1, // weight factor with 'down-weight'
+    },
+    trust: {
+        mode: 'weighted-mean', // see CHOICES
+        sybilWeight: 1,
+        wormholeWeight: 1,
+        blackholeWeight: 1,
+        poisonWeight: 1,
+        replayWeight: 1,
+    },
+};
+
+// Allowed values for string settings
+const CHOICES = {
+    'trust.mode': ['weighted-mean', 'min', 'geometric-mean'],
+    'replay.mode': ['flow-id', 'sequence-window'],
+    'voting.outOfRangeAction': ['discard', 'down-weight'],
+};
+
+function versionKey(version) {
+    return `${POLICY_KEY}:v${version}`;
+}
+
+// Overlay `patch` on `base` for the sections/settings known in DEFAULT_POLICY.
+// Unknown keys and values of the wrong type are rejected.
+function mergePolicy(base, patch, path = '') {
+    const out = { ...base };
+    for (const [key, value] of Object.entries(patch || {})) {
+        const name = path ? `${path}.${key}` : key;
+        const shape = path ? DEFAULT_POLICY[path][key] : DEFAULT_POLICY[key];
+        if (shape === undefined) {
+            throw new Error(`Unknown policy setting '${name}'`);
+        }
+        if (!path) {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`Policy section '${name}' must be an object`);
+            }
+            out[key] = mergePolicy(base[key] || {}, value, key);
+        } else if (typeof shape === 'boolean') {
+            if (typeof value !== 'boolean') {
+                throw new Error(`Policy setting '${name}' must be a boolean`);
+            }
+            out[key] = value;
+        } else if (typeof shape === 'string') {
+            if (typeof value !== 'string' || !value.trim()) {
+                throw new Error(`Policy setting '${name}' must be a string`);
+            }
+            if (CHOICES[name] && !CHOICES[name].includes(value.trim())) {
+                throw new Error(
+                    `Policy setting '${name}' must be one of: ${CHOICES[
+                        name
+                    ].join(', ')}`
+                );
+            }
+            out[key] = value.trim();
+        } else {
+            const n = Number(value);
+            if (
+                value === null ||
+                value === '' ||
+                !Number.isFinite(n) ||
+                n < 0
+            ) {
+                throw new Error(
+                    `Policy setting '${name}' must be a non-negative number`
+                );
+            }
+            out[key] = n;
+        }
+    }
+    return out;
+}
+
+function withDefaults(stored) {
+    const out = { version: 0 };
+    for (const section of Object.keys(DEFAULT_POLICY)) {
+        out[section] = {
+            ...DEFAULT_POLICY[section],
+            ...((stored && stored[section]) || {}),
+        };
+    }
+    if (stored) {
+        out.version = Number(stored.version) || 0;
+        out.updatedAt = stored.updatedAt;
+        out.updatedBy = stored.updatedBy;
+    }
+    return out;
+}
+
+/**
+ * Current policy, read once per transaction and cached on ctx.
+ * Settings missing from the stored document fall back to DEFAULT_POLICY.
+ */
+async function load(ctx) {
+    if (ctx.sdvnPolicy) return ctx.sdvnPolicy;
+    const data = await ctx.stub.getState(POLICY_KEY);
+    const stored = data && data.length ? JSON.parse(data.toString()) : null;
+    ctx.sdvnPolicy = withDefaults(stored);
+    return ctx.sdvnPolicy;
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    load,
+
+    /**
+     * trustedAuthority-only: store a new policy version. `patch` is a (partial)
+     * policy document overlaid on the current one, e.g.
+     * { "wormhole": { "matchToleranceMeters": 100 } }.
+     */
+    async set(ctx, helpers, patch) {
+        helpers.requireRole(ctx, ['trustedAuthority']);
+        let input = patch;
+        if (typeof input === 'string') {
+            try {
+                input = JSON.parse(input);
+            } catch (_) {
+                throw new Error('policy must be a JSON object');
+            }
+        }
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('policy must be a JSON object');
+        }
+        const {
+            version: _v,
+            updatedAt: _a,
+            updatedBy: _b,
+            ...settings
+        } = input;
+
+        const current = await load(ctx);
+        const sections = {};
+        for (const section of Object.keys(DEFAULT_POLICY)) {
+            sections[section] = current[section];
+        }
+        const next = {
+            version: current.version + 1,
+            ...mergePolicy(sections, settings),
+            updatedAt: helpers.txNowIso(ctx),
+            updatedBy: ctx.clientIdentity.getID(),
+        };
+        const buf = Buffer.from(JSON.stringify(next));
+        await ctx.stub.putState(POLICY_KEY, buf);
+        await ctx.stub.putState(versionKey(next.version), buf);
+        ctx.sdvnPolicy = next;
+
+        events.emit(ctx, helpers, events.EVENT_TYPES.POLICY_UPDATED, {
+            version: next.version,
+            previousVersion: current.version,
+        });
+        return next;
+    },
+
+    /**
+     * The policy version in force at `atMs` (epoch ms): the newest stored
+     * version updated at or before then, else the defaults (version 0).
+     * Cached per transaction.
+     */
+    async at(ctx, atMs) {
+        const current = await load(ctx);
+        ctx.sdvnPolicyVersions = ctx.sdvnPolicyVersions || new Map();
+        const cache = ctx.sdvnPolicyVersions;
+        for (let v = current.version; v > 0; v--) {
+            if (!cache.has(v)) {
+                const data = await ctx.stub.getState(versionKey(v));
+                cache.set(
+                    v,
+                    data && data.length
+                        ? withDefaults(JSON.parse(data.toString()))
+                        : null
+                );
+            }
+            const candidate = cache.get(v);
+            if (candidate && Date.parse(candidate.updatedAt) <= atMs) {
+                return candidate;
+            }
+        }
+        return withDefaults(null);
+    },
+
+    /**
+     * Current policy, or the given version if `version` is provided.
+     */
+    async get(ctx, version) {
+        if (version === undefined || version === null || version === '') {
+            return load(ctx);
+        }
+        const v = Number(version);
+        if (!Number.isInteger(v) || v < 0) {
+            throw new Error('version must be a non-negative integer');
+        }
+        if (v === 0) return withDefaults(null);
+        const data = await ctx.stub.getState(versionKey(v));
+        if (!data || !data.length) {
+            throw new Error(`Policy version ${v} not found`);
+        }
+        return withDefaults(JSON.parse(data.toString()));
+    },
+};
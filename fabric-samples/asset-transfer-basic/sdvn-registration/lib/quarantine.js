@@ -0,0 +1,87 @@
+'use strict';
+
+// Trust-threshold quarantine. Detectors call applyThreshold after a decision
+// lowered one of a vehicle's scores; if the resulting overallTrustScore is below
+// the configured threshold the vehicle moves to lifecycle status 'quarantined'.
+// A quarantined vehicle can no longer vote, report locations or take part in
+// replay checks until a controller/trustedAuthority releases it after review
+// (lifecycle action 'release').
+
+const events = require('./events');
+const lifecycle = require('./lifecycle');
+const policy = require('./policy');
+
+// The threshold is the policy setting quarantine.threshold (see lib/policy.js)
+async function getThreshold(ctx) {
+    return (await policy.load(ctx)).quarantine.threshold;
+}
+
+module.exports = {
+    getThreshold,
+
+    /**
+     * trustedAuthority-only: set the overall trust level below which vehicles
+     * are quarantined (0 disables quarantine). Stored as a new policy version.
+     */
+    async setThreshold(ctx, helpers, threshold) {
+        helpers.requireRole(ctx, ['trustedAuthority']);
+        const n = Number(threshold);
+        if (!Number.isFinite(n) || n < 0 || n > 100) {
+            throw new Error('threshold must be a number between 0 and 100');
+        }
+        const next = await policy.set(ctx, helpers, {
+            quarantine: { threshold: n },
+        });
+        return JSON.stringify({
+            threshold: next.quarantine.threshold,
+            policyVersion: next.version,
+        });
+    },
+
+    /**
+     * Quarantine `vehicle` (in memory; the caller persists it) when its
+     * overallTrustScore fell below the threshold. `trigger` describes the
+     * decision: { detector, decision, before, after, policyVersion }.
+     * Returns true if the vehicle was quarantined by this call.
+     */
+    async applyThreshold(ctx, helpers, vin, vehicle, trigger) {
+        const status = lifecycle.statusOf(vehicle);
+        if (status !== lifecycle.STATUS.REGISTERED) return false;
+        const threshold = await getThreshold(ctx);
+        const overall = Number(vehicle.overallTrustScore);
+        if (!Number.isFinite(overall) || overall >= threshold) return false;
+
+        const now = helpers.txNowIso(ctx);
+        const reason = `overall trust ${overall} fell below threshold ${threshold}`;
+        vehicle.registrationStatus = lifecycle.STATUS.QUARANTINED;
+        vehicle.quarantine = {
+            since: now,
+            threshold,
+            overallTrustScore: overall,
+            trigger,
+            txId: ctx.stub.getTxID(),
+        };
+        if (!Array.isArray(vehicle.statusTransitions)) {
+            vehicle.statusTransitions = [];
+        }
+        vehicle.statusTransitions.push({
+            from: status,
+            to: lifecycle.STATUS.QUARANTINED,
+            action: 'quarantine',
+            reason,
+            role: 'system',
+            actor: ctx.clientIdentity.getID(),
+            txId: ctx.stub.getTxID(),
+            timestamp: now,
+            trigger,
+        });
+        events.emit(ctx, helpers, events.EVENT_TYPES.VEHICLE_STATUS_CHANGED, {
+            vin,
+            from: status,
+            to: lifecycle.STATUS.QUARANTINED,
+            reason,
+            trigger,
+        });
+        return true;
+    },
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+// Gradual trust recovery. Per-attack scores regain points, up to a cap, for
+// sustained good behaviour instead of only through resetTrustScores:
+//  - penalty-free periods: every full recovery.penaltyFreeHours without a
+//    penalty on a dimension earns recovery.penaltyFreeReward points
+//  - positive majorities: a majority-1 outcome in evaluateBlackholeVotes,
+//    crossValidationV3 or crossValidationPoison earns recovery.majorityReward
+//    points, at most once per recovery.majorityRewardIntervalMinutes
+// Everything is computed from the transaction timestamp, so every endorsing
+// peer reaches the same result. Per-dimension bookkeeping lives in
+// vehicle.trustRecovery; each reward is emitted as a TrustRewarded event.
+
+const events = require('./events');
+const policy = require('./policy');
+const trust = require('./trust');
+
+function stateOf(vehicle, dimension) {
+    if (!vehicle.trustRecovery || typeof vehicle.trustRecovery !== 'object') {
+        vehicle.trustRecovery = {};
+    }
+    if (!vehicle.trustRecovery[dimension]) {
+        vehicle.trustRecovery[dimension] = {
+            lastPenaltyAt: null,
+            lastPenaltyFreeRewardAt: null,
+            lastMajorityRewardAt: null,
+        };
+    }
+    return vehicle.trustRecovery[dimension];
+}
+
+function millis(iso) {
+    const t = Date.parse(iso);
+    return Number.isFinite(t) ? t : null;
+}
+
+// Add up to `points` to the dimension's score without exceeding `cap`.
+// Returns the number of points actually added.
+function addPoints(vehicle, dimension, points, cap) {
+    const field = trust.DIMENSIONS[dimension];
+    const before = Number(vehicle[field]);
+    if (!Number.isFinite(before) || before >= cap || points <= 0) return 0;
+    const after = Math.min(cap, before + points);
+    vehicle[field] = after;
+    return after - before;
+}
+
+/**
+ * Apply the rewards `dimension` has earned by now. `positiveMajority` marks
+ * a majority-1 outcome of the calling detector. Updates the vehicle in memory
+ * and returns the list of rewards granted; when it is not empty the caller
+ * refreshes the overall score and persists the vehicle.
+ */
+async function applyRewards(ctx, helpers, vin, vehicle, dimension, options) {
+    const { positiveMajority = false } = options || {};
+    const current = await policy.load(ctx);
+    const rules = current.recovery;
+    const field = trust.DIMENSIONS[dimension];
+    if (!field) throw new Error(`Unknown trust dimension '${dimension}'`);
+    const nowIso = helpers.txNowIso(ctx);
+    const nowMs = Date.parse(nowIso);
+    const state = stateOf(vehicle, dimension);
+    const rewards = [];
+
+    const grant = (reason, points, extra) => {
+        const before = Number(vehicle[field]);
+        const added = addPoints(vehicle, dimension, points, rules.cap);
+        if (!added) return;
+        const reward = {
+            detector: dimension,
+            reason,
+            before,
+            after: Number(vehicle[field]),
+            points: added,
+            policyVersion: current.version,
+            ...extra,
+        };
+        rewards.push(reward);
+        events.emit(ctx, helpers, events.EVENT_TYPES.TRUST_REWARDED, {
+            vin,
+            ...reward,
+        });
+    };
+
+    // Penalty-free periods since the last penalty or last such reward
+    const periodMs = rules.penaltyFreeHours * 60 * 60 * 1000;
+    if (periodMs > 0) {
+        const anchor = Math.max(
+            millis(state.lastPenaltyAt) || 0,
+            millis(state.lastPenaltyFreeRewardAt) || 0,
+            millis(vehicle.createdAt) || 0
+        );
+        if (anchor && nowMs - anchor >= periodMs) {
+            const periods = Math.floor((nowMs - anchor) / periodMs);
+            state.lastPenaltyFreeRewardAt = new Date(
+                anchor + periods * periodMs
+            ).toISOString();
+            grant('penalty-free', periods * rules.penaltyFreeReward, {
+                periods,
+            });
+        }
+    }
+
+    // Positive neighbor majority, rate limited per dimension
+    if (positiveMajority && rules.majorityReward > 0) {
+        const last = millis(state.lastMajorityRewardAt);
+        const intervalMs = rules.majorityRewardIntervalMinutes * 60 * 1000;
+        if (last === null || nowMs - last >= intervalMs) {
+            state.lastMajorityRewardAt = nowIso;
+            grant('positive-majority', rules.majorityReward);
+        }
+    }
+    return rewards;
+}
+
+module.exports = {
+    applyRewards,
+
+    /**
+     * Record that `dimension` was penalized in this transaction; restarts its
+     * penalty-free period.
+     */
+    notePenalty(ctx, helpers, vehicle, dimension) {
+        stateOf(vehicle, dimension).lastPenaltyAt = helpers.txNowIso(ctx);
+    },
+
+    /**
+     * Controller/trustedAuthority: apply penalty-free recovery earned so far on
+     * every dimension of a vehicle.
+     */
+    async recoverTrust(ctx, helpers, vin) {
+        helpers.requireRole(ctx, ['controller', 'trustedAuthority']);
+        if (!vin) throw new Error('vin is required');
+        const vehKey = helpers.keyForVehicle(vin);
+        const data = await ctx.stub.getState(vehKey);
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+
+        let rewards = [];
+        for (const dimension of Object.keys(trust.DIMENSIONS)) {
+            rewards = rewards.concat(
+                await applyRewards(ctx, helpers, vin, vehicle, dimension)
+            );
+        }
+        const summary = await trust.refresh(ctx, vehicle);
+        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        return JSON.stringify({ vin, rewards, trust: summary });
+    },
+};
@@ -2,19 +2,130 @@
 
 // Replay attack mitigation helpers. Imported by the main contract and executed
 // within the same transaction context (ctx).
+//
+// checkAndRecordFlowId does the check and the write in one transaction. Each
+// flow seen is kept under a point key per sender and flowId
+//   replayflow~<senderVin>~<flowId> -> { flowId, timestamp, reportedBy }
+// so the check is a single read: two receivers racing to record the same
+// flowId conflict at commit (MVCC), while receivers of different flows never
+// do. Entries older than replay.windowHours count as absent and are
+// overwritten. With policy replay.mode 'sequence-window' it uses per-sender
+// sequence numbers and a fixed-size sliding window per receiver instead of
+// stored flowIds (lib/seqwindow.js).
+//
+// Receivers may also pass the SHA-256 of the message payload. Hashes seen
+// within the window are kept per sender under
+//   replayhash~<senderVin>~<payloadHash> -> { flowId, payloadHash, timestamp, reportedBy }
+// so a captured message re-sent under a fresh flowId (or sequence number) is
+// still caught and matched to the flow that first carried it. In
+// 'sequence-window' mode, where one broadcast reaches several receivers,
+// hashes are kept per receiver instead:
+//   replayhash~<senderVin>~<payloadHash>~<receiverVin>
+//
+// A receiver that reports the same replay again does not cost the sender
+// again: each penalty is marked under
+//   replaypenalty~<senderVin>~<flowId or payloadHash>~<reporterVin>
+// for the rest of the window.
 
-const WINDOW_MS_24H = 24 * 60 * 60 * 1000;
+const voteStore = require('./votes');
+const events = require('./events');
+const lifecycle = require('./lifecycle');
+const quarantine = require('./quarantine');
+const policy = require('./policy');
+const trust = require('./trust');
+const recovery = require('./recovery');
+const seqwindow = require('./seqwindow');
+
+const FLOW_OBJECT_TYPE = 'replayflow';
+const PAYLOAD_HASH_OBJECT_TYPE = 'replayhash';
+const PENALTY_OBJECT_TYPE = 'replaypenalty';
+const PAYLOAD_HASH_PATTERN = /^[0-9a-f]{64}$/;
 
 function normalizeTimestamp(strOrIso) {
     const s = String(strOrIso || '').trim();
     return s || null;
 }
 
+// Split the sender's recorded flowIds into entries inside the policy window
+// ending at nowMs and older ones, deleting the latter.
+// Returns { recent, purged, legacyChanged }; when legacyChanged is true the
+// caller must persist `vehicle`.
+async function recentFlowIds(ctx, senderVin, vehicle, rules, nowMs) {
+    const cutoff = nowMs - rules.windowHours * 60 * 60 * 1000;
+    const all = await voteStore.getVotes(ctx, 'replay', senderVin, vehicle);
+    const recent = [];
+    const old = [];
+    for (const v of all) {
+        const t = Date.parse(v.entry && v.entry.timestamp);
+        if (Number.isFinite(t) && t >= cutoff && t <= nowMs) {
+            recent.push(v.entry);
+        } else {
+            old.push(v);
+        }
+    }
+    const legacyChanged = await voteStore.deleteVotes(
+        ctx,
+        'replay',
+        old,
+        vehicle
+    );
+    return { recent, purged: old.length, legacyChanged };
+}
+
+// Lowercase hex SHA-256 of a payload, or null when none was given
+function normalizePayloadHash(value) {
+    const s = String(value || '')
+        .trim()
+        .toLowerCase();
+    if (!s) return null;
+    if (!PAYLOAD_HASH_PATTERN.test(s)) {
+        throw new Error('payloadHash must be a hex-encoded SHA-256 digest');
+    }
+    return s;
+}
+
+// Send time of a flow as an ISO string: the tx time when none was given.
+// Throws when it does not parse or lies more than replay.maxClockSkewSeconds
+// ahead of the transaction time.
+function parseSentAt(timestamp, rules, nowIso) {
+    const s = normalizeTimestamp(timestamp);
+    if (!s) return nowIso;
+    const t = Date.parse(s);
+    if (!Number.isFinite(t)) {
+        throw new Error('timestamp must be an ISO date');
+    }
+    if (t - Date.parse(nowIso) > rules.maxClockSkewSeconds * 1000) {
+        throw new Error(
+            `timestamp ${s} is more than ${rules.maxClockSkewSeconds}s ahead of the transaction time`
+        );
+    }
+    return new Date(t).toISOString();
+}
+
+// Point read of the entry under objectType~attrs. Returns { key, entry } where
+// entry is null when missing, malformed or outside the policy window ending
+// at nowMs.
+async function readRecent(ctx, objectType, attrs, rules, nowMs) {
+    const key = ctx.stub.createCompositeKey(objectType, attrs.map(String));
+    const data = await ctx.stub.getState(key);
+    let entry = null;
+    try {
+        entry = data && data.length ? JSON.parse(data.toString('utf8')) : null;
+    } catch (_) {
+        // malformed entries are overwritten
+    }
+    const t = Date.parse(entry && entry.timestamp);
+    const cutoff = nowMs - rules.windowHours * 60 * 60 * 1000;
+    if (!Number.isFinite(t) || t < cutoff) entry = null;
+    return { key, entry };
+}
+
 module.exports = {
     /**
      * Vehicle-only: destination/receiver stores a flowId that was sent by a sender.
-     * The flowId is recorded on the SENDER's vehicle record under `flowIdReplay` array
-     * with fields: { flowId, timestamp }.
+     * The flowId is recorded against the SENDER's VIN under its own replay key
+     * (see lib/votes.js) with fields: { flowId, timestamp }, and under the
+     * sender's replayflow key checked by checkAndRecordFlowId.
      */
     async storeFlowIdReplay(ctx, helpers, senderVin, flowId, timestamp) {
         // RBAC: any vehicle identity can perform this action
@@ -28,25 +139,37 @@ module.exports = {
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length)
             throw new Error(`Vehicle ${senderVin} not found`);
-
-        const vehicle = JSON.parse(data.toString());
-        if (!Array.isArray(vehicle.flowIdReplay)) vehicle.flowIdReplay = [];
+        lifecycle.assertActive(
+            JSON.parse(data.toString()),
+            senderVin,
+            'replay checks'
+        );
+        await lifecycle.assertCallerActive(ctx, helpers, 'replay checks');
 
         const tsIso = normalizeTimestamp(timestamp) || helpers.txNowIso(ctx);
-        vehicle.flowIdReplay.push({ flowId: String(flowId), timestamp: tsIso });
-
-        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
-        return JSON.stringify({
-            vin: senderVin,
-            stored: { flowId: String(flowId), timestamp: tsIso },
-            count: vehicle.flowIdReplay.length,
-        });
+        const stored = { flowId: String(flowId), timestamp: tsIso };
+        await ctx.stub.putState(
+            ctx.stub.createCompositeKey(FLOW_OBJECT_TYPE, [
+                String(senderVin),
+                stored.flowId,
+            ]),
+            Buffer.from(JSON.stringify(stored))
+        );
+        const voteKey = await voteStore.putVote(
+            ctx,
+            'replay',
+            senderVin,
+            stored.flowId,
+            stored
+        );
+        return JSON.stringify({ vin: senderVin, stored, voteKey });
     },
 
     /**
      * Vehicle-only: receiver checks whether the sender already sent the given flowId
-     * within the last 24 hours. While checking, delete any entries older than 24 hours.
-     * Returns { vin, exists, recentCount, purged }.
+     * within the policy window (replay.windowHours, default 24). While checking,
+     * delete any entries older than the window.
+     * Returns { vin, exists, recentCount, purged, checkedAt, policyVersion }.
      */
     async checkFlowIdReplay(ctx, helpers, senderVin, flowId) {
         // RBAC: any vehicle identity can perform this action
@@ -62,29 +185,23 @@ module.exports = {
             throw new Error(`Vehicle ${senderVin} not found`);
 
         const vehicle = JSON.parse(data.toString());
+        lifecycle.assertActive(vehicle, senderVin, 'replay checks');
+        await lifecycle.assertCallerActive(ctx, helpers, 'replay checks');
+        const { replay: rules, version: policyVersion } = await policy.load(
+            ctx
+        );
         const nowIso = helpers.txNowIso(ctx);
         const nowMs = Date.parse(nowIso);
-        const cutoff = nowMs - WINDOW_MS_24H;
-
-        const all = Array.isArray(vehicle.flowIdReplay)
-            ? vehicle.flowIdReplay
-            : [];
-
-        // Partition into recent vs old
-        const recent = [];
-        let purged = 0;
-        for (const e of all) {
-            const t = Date.parse(e && e.timestamp);
-            if (Number.isFinite(t) && t >= cutoff && t <= nowMs) {
-                recent.push(e);
-            } else {
-                purged += 1;
-            }
-        }
 
-        // If any were purged, persist the trimmed list
-        if (purged > 0) {
-            vehicle.flowIdReplay = recent;
+        // Delete old entries; persist the vehicle if legacy entries changed
+        const { recent, purged, legacyChanged } = await recentFlowIds(
+            ctx,
+            senderVin,
+            vehicle,
+            rules,
+            nowMs
+        );
+        if (legacyChanged) {
             await ctx.stub.putState(
                 vehKey,
                 Buffer.from(JSON.stringify(vehicle))
@@ -92,12 +209,299 @@ module.exports = {
         }
 
         const exists = recent.some((e) => String(e.flowId) === String(flowId));
+        if (exists) {
+            events.emit(ctx, helpers, events.EVENT_TYPES.REPLAY_DETECTED, {
+                vin: senderVin,
+                flowId: String(flowId),
+                reportedBy: ctx.clientIdentity.getAttributeValue('vin') || null,
+                policyVersion,
+            });
+        }
         return JSON.stringify({
             vin: senderVin,
             exists,
             recentCount: recent.length,
             purged,
             checkedAt: nowIso,
+            policyVersion,
+        });
+    },
+
+    /**
+     * Vehicle-only: receiver checks whether the sender already sent `flowId`
+     * and records it in the same transaction. The policy's replay.mode selects
+     * how:
+     *  - 'flow-id': flowIds seen within replay.windowHours are kept under the
+     *    sender's replayflow keys; a new flowId is recorded (same entries as
+     *    storeFlowIdReplay), a repeated one is a replay and is not recorded
+     *  - 'sequence-window': `flowId` is the sender's sequence number, checked
+     *    against the caller's fixed-size sliding window for that sender
+     *    (lib/seqwindow.js); duplicate and stale numbers are replays, while
+     *    other receivers of the same broadcast have their own windows
+     * With `payloadHash` (hex SHA-256 of the message) a flow whose content was
+     * already seen within the window is a replay too (reason 'content'), even
+     * under a new flowId; `matchedFlow` is the flow that first carried it.
+     * `timestamp` is the original send time, defaulting to the tx time; it
+     * must parse and may lie at most replay.maxClockSkewSeconds ahead of the
+     * tx time. A flow sent before the window is a replay (reason 'stale').
+     * A replay deducts replay.penalty from the sender's trustScoreReplay,
+     * once per reporter and flowId (or payload hash), and records nothing.
+     * Returns { vin, mode, flowId, replay, reason, recorded, penalized,
+     * payloadHash, matchedFlow, before, after, delta, quarantined, rewards,
+     * checkedAt, policyVersion, trust, ... }.
+     */
+    async checkAndRecordFlowId(
+        ctx,
+        helpers,
+        senderVin,
+        flowId,
+        timestamp,
+        payloadHash
+    ) {
+        helpers.requireRole(ctx, ['vehicle']);
+
+        if (!senderVin || !flowId) {
+            throw new Error('senderVin and flowId are required');
+        }
+
+        const vehKey = helpers.keyForVehicle(senderVin);
+        const data = await ctx.stub.getState(vehKey);
+        if (!data || !data.length)
+            throw new Error(`Vehicle ${senderVin} not found`);
+        const vehicle = JSON.parse(data.toString());
+        lifecycle.assertActive(vehicle, senderVin, 'replay checks');
+        await lifecycle.assertCallerActive(ctx, helpers, 'replay checks');
+        const { replay: rules, version: policyVersion } = await policy.load(
+            ctx
+        );
+        const nowIso = helpers.txNowIso(ctx);
+        const nowMs = Date.parse(nowIso);
+        const id = String(flowId);
+        const hash = normalizePayloadHash(payloadHash);
+        const sentAt = parseSentAt(timestamp, rules, nowIso);
+        const reportedBy = ctx.clientIdentity.getAttributeValue('vin');
+        if (!reportedBy) {
+            throw new Error("Caller certificate has no 'vin' attribute");
+        }
+
+        let persist = false;
+        let found; // { reason, details } when the flow is a replay
+        let extra;
+        let record; // writes the flow when it turns out not to be a replay
+        if (rules.mode === 'sequence-window') {
+            const seq = seqwindow.parseSequence(id);
+            const result = seqwindow.check(
+                await seqwindow.load(ctx, senderVin, reportedBy),
+                seq,
+                rules.sequenceWindowSize
+            );
+            if (result.accepted) {
+                record = () =>
+                    seqwindow.save(
+                        ctx,
+                        helpers,
+                        senderVin,
+                        reportedBy,
+                        result.state
+                    );
+            } else {
+                found = {
+                    reason: result.reason,
+                    details: { sequenceNumber: seq },
+                };
+            }
+            extra = {
+                sequenceNumber: seq,
+                highest: result.state.highest,
+                windowSize: result.state.windowSize,
+            };
+        } else {
+            // Flows recorded before replayflow keys existed are only in the
+            // replay votes, which checkFlowIdReplay still scans
+            const flow = await readRecent(
+                ctx,
+                FLOW_OBJECT_TYPE,
+                [senderVin, id],
+                rules,
+                nowMs
+            );
+            const original = flow.entry;
+            if (original) {
+                found = { reason: 'duplicate', details: { original } };
+            } else {
+                record = async () => {
+                    const stored = {
+                        flowId: id,
+                        timestamp: sentAt,
+                        reportedBy,
+                    };
+                    await ctx.stub.putState(
+                        flow.key,
+                        Buffer.from(JSON.stringify(stored))
+                    );
+                    extra.voteKey = await voteStore.putVote(
+                        ctx,
+                        'replay',
+                        senderVin,
+                        id,
+                        stored
+                    );
+                };
+            }
+            extra = { voteKey: null, original };
+        }
+        const cutoff = nowMs - rules.windowHours * 60 * 60 * 1000;
+        if (!found && Date.parse(sentAt) < cutoff) {
+            found = { reason: 'stale', details: { sentAt } };
+        }
+
+        // Same content under another flowId
+        let matchedFlow = null;
+        let hashKey = null;
+        if (hash) {
+            const content = await readRecent(
+                ctx,
+                PAYLOAD_HASH_OBJECT_TYPE,
+                rules.mode === 'sequence-window'
+                    ? [senderVin, hash, reportedBy]
+                    : [senderVin, hash],
+                rules,
+                nowMs
+            );
+            hashKey = content.key;
+            matchedFlow = content.entry;
+            if (matchedFlow && !found) {
+                found = {
+                    reason: 'content',
+                    details: {
+                        payloadHash: hash,
+                        originalFlowId: matchedFlow.flowId,
+                        original: matchedFlow,
+                    },
+                };
+            }
+        }
+        if (!found) {
+            if (record) await record();
+            if (hash) {
+                await ctx.stub.putState(
+                    hashKey,
+                    Buffer.from(
+                        JSON.stringify({
+                            flowId: id,
+                            payloadHash: hash,
+                            timestamp: sentAt,
+                            reportedBy,
+                        })
+                    )
+                );
+            }
+        }
+
+        const before = Number(vehicle.trustScoreReplay);
+        let after = before;
+        let quarantined = false;
+        let rewards = [];
+        // One penalty per reporter and replayed flow (or content)
+        const penalty = found
+            ? await readRecent(
+                  ctx,
+                  PENALTY_OBJECT_TYPE,
+                  [
+                      senderVin,
+                      found.reason === 'content' ? hash : id,
+                      reportedBy,
+                  ],
+                  rules,
+                  nowMs
+              )
+            : null;
+        const penalized = !!found && !penalty.entry;
+        if (penalized) {
+            await ctx.stub.putState(
+                penalty.key,
+                Buffer.from(
+                    JSON.stringify({ reason: found.reason, timestamp: nowIso })
+                )
+            );
+            after = Math.max(0, before - rules.penalty);
+            vehicle.trustScoreReplay = after;
+            recovery.notePenalty(ctx, helpers, vehicle, 'replay');
+            await trust.refresh(ctx, vehicle);
+            const decision = `penalized-${found.reason}`;
+            quarantined = await quarantine.applyThreshold(
+                ctx,
+                helpers,
+                senderVin,
+                vehicle,
+                {
+                    detector: 'replay',
+                    decision,
+                    before,
+                    after,
+                    policyVersion,
+                }
+            );
+            persist = true;
+            events.emit(ctx, helpers, events.EVENT_TYPES.REPLAY_DETECTED, {
+                vin: senderVin,
+                flowId: id,
+                mode: rules.mode,
+                reason: found.reason,
+                reportedBy,
+                ...found.details,
+                policyVersion,
+            });
+            events.trustScoreChanged(
+                ctx,
+                helpers,
+                senderVin,
+                'replay',
+                before,
+                after,
+                decision,
+                policyVersion
+            );
+        } else if (!found) {
+            rewards = await recovery.applyRewards(
+                ctx,
+                helpers,
+                senderVin,
+                vehicle,
+                'replay'
+            );
+            if (rewards.length) {
+                await trust.refresh(ctx, vehicle);
+                after = Number(vehicle.trustScoreReplay);
+                persist = true;
+            }
+        }
+        if (persist) {
+            await ctx.stub.putState(
+                vehKey,
+                Buffer.from(JSON.stringify(vehicle))
+            );
+        }
+
+        return JSON.stringify({
+            vin: senderVin,
+            mode: rules.mode,
+            flowId: id,
+            replay: !!found,
+            reason: found ? found.reason : null,
+            recorded: !found,
+            penalized,
+            payloadHash: hash,
+            matchedFlow,
+            ...extra,
+            before,
+            after,
+            delta: after - before,
+            quarantined,
+            rewards,
+            checkedAt: nowIso,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 };
@@ -5,6 +5,129 @@ const wormhole = require('./wormhole');
 const blackhole = require('./blackhole');
 const replay = require('./replay');
 const poison = require('./poison');
+const voteStore = require('./votes');
+const events = require('./events');
+const locations = require('./locations');
+const lifecycle = require('./lifecycle');
+const quarantine = require('./quarantine');
+const policy = require('./policy');
+const trust = require('./trust');
+const recovery = require('./recovery');
+const sybil = require('./sybil');
+const keys = require('./keys');
+const signatures = require('./signatures');
+const keyrotation = require('./keyrotation');
+const plausibility = require('./plausibility');
+const leash = require('./leash');
+
+const VIN_AUTHORITY_START_KEY = 'vinreg:';
+// endKey is the next ASCII character after ':' to bound the range
+const VIN_AUTHORITY_END_KEY = 'vinreg;';
+const VEHICLE_START_KEY = 'vehicle:';
+const VEHICLE_END_KEY = 'vehicle;';
+
+// Convert a protobuf Timestamp ({ seconds, nanos }) to epoch milliseconds.
+function timestampToMillis(ts) {
+    // ts.seconds may be a Long object; normalize to number
+    let seconds;
+    if (ts && typeof ts.seconds === 'object' && ts.seconds !== null) {
+        // protobufjs Long has .low for the lower 32 bits
+        seconds =
+            typeof ts.seconds.toNumber === 'function'
+                ? ts.seconds.toNumber()
+                : typeof ts.seconds.low === 'number'
+                ? ts.seconds.low
+                : Number(ts.seconds);
+    } else {
+        seconds = Number(ts && ts.seconds);
+    }
+    const nanos = ts && typeof ts.nanos === 'number' ? ts.nanos : 0;
+    return seconds * 1000 + Math.floor(nanos / 1e6);
+}
+
+// Parse an optional ISO/epoch-ms bound; empty means unbounded (null).
+function parseTimeBound(value, name) {
+    const s = String(value === undefined || value === null ? '' : value).trim();
+    if (!s) return null;
+    const ms = /^\d+$/.test(s) ? Number(s) : Date.parse(s);
+    if (!Number.isFinite(ms)) throw new Error(`${name} is invalid`);
+    return ms;
+}
+
+// Read every committed version of vehicle:<vin>, oldest first, as
+// [{ txId, timestampMs, isDelete, vehicle }]. Versions keep their commit
+// order; timestampMs is the client-chosen tx timestamp and need not increase.
+async function readVehicleVersions(ctx, helpers, vin) {
+    const versions = [];
+    const iterator = await ctx.stub.getHistoryForKey(
+        helpers.keyForVehicle(vin)
+    );
+    try {
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const res = await iterator.next();
+            if (res.done) break;
+            const mod = res.value || {};
+            let vehicle = null;
+            if (!mod.isDelete && mod.value && mod.value.length) {
+                try {
+                    vehicle = JSON.parse(mod.value.toString('utf8'));
+                } catch (_) {
+                    // ignore malformed versions
+                }
+            }
+            versions.push({
+                txId: mod.txId,
+                timestampMs: timestampToMillis(mod.timestamp),
+                isDelete: !!mod.isDelete,
+                vehicle,
+            });
+        }
+    } finally {
+        await iterator.close();
+    }
+    // Peers return history in commit order, newest first
+    return versions.reverse();
+}
+
+// Overall trust score of a vehicle version committed at timestampMs: the score
+// stored with it, or for records written before it was stored, the score under
+// the policy then in force. Returns { overallTrustScore,
+// recomputedWithPolicyVersion? }.
+async function overallTrustAt(ctx, vehicle, timestampMs) {
+    const stored = vehicle.overallTrustScore;
+    if (typeof stored === 'number' && Number.isFinite(stored)) {
+        return { overallTrustScore: stored };
+    }
+    const then = await policy.at(ctx, timestampMs);
+    return {
+        overallTrustScore: trust.aggregate(vehicle, then.trust),
+        recomputedWithPolicyVersion: then.version,
+    };
+}
+
+// Build a VIN status entry from a vinreg: key/value. Records written before the
+// `registered` flag existed fall back to checking for the vehicle record.
+async function toVinStatus(ctx, helpers, key, value) {
+    const text = value ? value.toString('utf8') : '';
+    let rec = {};
+    try {
+        rec = text ? JSON.parse(text) : {};
+    } catch (_) {
+        // ignore parse errors and proceed with defaults
+    }
+    const vin =
+        rec.vin ||
+        (key && key.startsWith(VIN_AUTHORITY_START_KEY)
+            ? key.slice(VIN_AUTHORITY_START_KEY.length)
+            : key);
+    let registered = rec.registered;
+    if (typeof registered !== 'boolean') {
+        const vehBytes = await ctx.stub.getState(helpers.keyForVehicle(vin));
+        registered = !!(vehBytes && vehBytes.length);
+    }
+    return { vin, storedAt: rec.createdAt || null, registered };
+}
 
 /**
  * SdvNRegistration contract with role-based access control.
@@ -45,23 +168,9 @@ class SdvNRegistration extends Contract {
     // ---------- Deterministic timestamp helper ----------
     // Use the transaction timestamp so all endorsing peers compute identical values
     txNowIso(ctx) {
-        const ts = ctx.stub.getTxTimestamp();
-        // ts.seconds may be a Long object; normalize to number
-        let seconds;
-        if (ts && typeof ts.seconds === 'object' && ts.seconds !== null) {
-            // protobufjs Long has .low for the lower 32 bits
-            seconds =
-                typeof ts.seconds.toNumber === 'function'
-                    ? ts.seconds.toNumber()
-                    : typeof ts.seconds.low === 'number'
-                    ? ts.seconds.low
-                    : Number(ts.seconds);
-        } else {
-            seconds = Number(ts && ts.seconds);
-        }
-        const nanos = ts && typeof ts.nanos === 'number' ? ts.nanos : 0;
-        const millis = seconds * 1000 + Math.floor(nanos / 1e6);
-        return new Date(millis).toISOString();
+        return new Date(
+            timestampToMillis(ctx.stub.getTxTimestamp())
+        ).toISOString();
     }
 
     // ---------- Key helpers ----------
@@ -90,8 +199,10 @@ class SdvNRegistration extends Contract {
             vin,
             createdAt: this.txNowIso(ctx),
             issuer: 'trustedAuthority',
+            registered: false,
         };
         await ctx.stub.putState(key, Buffer.from(JSON.stringify(record)));
+        events.emit(ctx, this, events.EVENT_TYPES.VIN_STORED, { vin });
         return JSON.stringify(record);
     }
 
@@ -120,10 +231,18 @@ class SdvNRegistration extends Contract {
                 vin,
                 createdAt: this.txNowIso(ctx),
                 issuer: 'trustedAuthority',
+                registered: false,
             };
             await ctx.stub.putState(key, Buffer.from(JSON.stringify(record)));
             added.push(vin);
         }
+        // One event for the whole range rather than one per VIN
+        if (added.length) {
+            events.emit(ctx, this, events.EVENT_TYPES.VIN_STORED, {
+                vins: added,
+                range: { start: s, end: e },
+            });
+        }
         return JSON.stringify({
             range: { start: s, end: e },
             totalRequested: e - s + 1,
@@ -140,6 +259,19 @@ class SdvNRegistration extends Contract {
         this.requireRole(ctx, ['controller']);
         if (!vin || !publicKey)
             throw new Error('vin and publicKey are required');
+        const initialStatus = String(
+            registrationStatus || lifecycle.STATUS.REGISTERED
+        ).toLowerCase();
+        if (
+            ![lifecycle.STATUS.REGISTERED, lifecycle.STATUS.SUSPENDED].includes(
+                initialStatus
+            )
+        ) {
+            throw new Error(
+                `registrationStatus must be '${lifecycle.STATUS.REGISTERED}' or '${lifecycle.STATUS.SUSPENDED}'`
+            );
+        }
+        const parsedKey = keys.parsePublicKey(publicKey);
         const authKey = this.keyForVinAuthority(vin);
         const auth = await ctx.stub.getState(authKey);
         if (!auth || !auth.length) {
@@ -150,28 +282,77 @@ class SdvNRegistration extends Contract {
         const vehKey = this.keyForVehicle(vin);
         const existing = await ctx.stub.getState(vehKey);
         if (existing && existing.length) {
-            throw new Error(`Vehicle ${vin} is already registered`);
+            const current = lifecycle.statusOf(JSON.parse(existing.toString()));
+            throw new Error(
+                `Vehicle ${vin} is already registered (status '${current}')`
+            );
         }
+        // One VIN per key; fails if the key is registered to another vehicle
+        await keys.claim(ctx, this, vin, parsedKey);
+        // Keep the registered flag on the authority record so listings need no vehicle lookups
+        const authRecord = JSON.parse(auth.toString());
+        authRecord.registered = true;
+        authRecord.registeredAt = this.txNowIso(ctx);
+        await ctx.stub.putState(
+            authKey,
+            Buffer.from(JSON.stringify(authRecord))
+        );
         const vehicle = {
+            docType: 'vehicle', // lets CouchDB rich queries select vehicle records
             VIN: vin,
             publicKey,
-            registrationStatus: registrationStatus || 'registered',
+            publicKeyFingerprint: parsedKey.fingerprint, // see lib/keys.js
+            publicKeyType: parsedKey.keyType,
+            registrationStatus: initialStatus,
+            statusTransitions: [],
             trustedScoreSybil: 100,
             trustedScoreWromehole: 100,
             trustScoreBlackhole: 100,
             trustScorePoison: 100,
             trustScoreReplay: 100,
-            neighborArray: [],
-            neighborArrayBlackholeVotes: [],
-            neighborArrayRoutingData: [],
-            locations: [], // ring buffer of up to 20
+            overallTrustScore: 100, // persisted so rich queries can filter on it
+            // neighbor votes and flowIds live under their own keys (lib/votes.js)
+            // raw locations live in a private data collection (lib/locations.js)
+            locationSummary: { count: 0, lastTimestamp: null, lastHash: null },
             createdAt: this.txNowIso(ctx),
         };
+        await trust.refresh(ctx, vehicle);
         await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        events.emit(ctx, this, events.EVENT_TYPES.VEHICLE_REGISTERED, {
+            vin,
+            registrationStatus: vehicle.registrationStatus,
+        });
         return JSON.stringify(vehicle);
     }
 
-    // Get a vehicle with computed overallTrustScore
+    // Any role: resolve a public key (PEM/DER) or its SHA-256 fingerprint to
+    // the VIN, status and trust score of the vehicle it is registered to
+    async getVehicleByPublicKey(ctx, publicKey) {
+        return keys.getVehicleByPublicKey(ctx, this, publicKey);
+    }
+
+    // Vehicle (own VIN, with a proof signed by its current key as transient
+    // 'signature') or controller (proof, or override with a reason): replace
+    // the vehicle's public key, keeping the old one in a dated history
+    async rotateVehicleKey(ctx, vin, newPublicKey, reason, timestamp) {
+        return keyrotation.rotateVehicleKey(
+            ctx,
+            this,
+            vin,
+            newPublicKey,
+            reason,
+            timestamp
+        );
+    }
+
+    // Current public key and previous keys with their validity periods
+    async getVehicleKeyHistory(ctx, vin) {
+        return keyrotation.getVehicleKeyHistory(ctx, this, vin);
+    }
+
+    // Get a vehicle with overallTrustScore aggregated under the current policy
+    // and the per-dimension breakdown in `trust`.
+    // Votes stored under per-vote keys are folded back into the legacy arrays.
     async getVehicle(ctx, vin) {
         // controller, trustedAuthority can get any; vehicles can get only their own VIN
         const role = this.getClientRole(ctx);
@@ -184,23 +365,98 @@ class SdvNRegistration extends Contract {
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
-        const scores = [
-            Number(vehicle.trustedScoreSybil),
-            Number(vehicle.trustedScoreWromehole),
-            Number(vehicle.trustScoreBlackhole),
-            Number(vehicle.trustScorePoison),
-            Number(vehicle.trustScoreReplay),
-        ];
-        const valid = scores.filter((n) => Number.isFinite(n));
-        const overall = valid.length
-            ? valid.reduce((a, b) => a + b, 0) / valid.length
-            : 0;
+        Object.assign(vehicle, await voteStore.legacyView(ctx, vin, vehicle));
+        const summary = await trust.summarize(ctx, vehicle);
         return JSON.stringify({
             ...vehicle,
-            overallTrustScore: Math.round(overall),
+            overallTrustScore: summary.overall,
+            trust: summary,
         });
     }
 
+    // Trust history timeline for a vehicle built from the key history.
+    // Optional fromTs/toTs (ISO or epoch ms) bound the versions returned.
+    async getVehicleHistory(ctx, vin, fromTs, toTs) {
+        const role = this.getClientRole(ctx);
+        if (role === 'vehicle') {
+            this.ensureVehicleOwnsVIN(ctx, vin);
+        } else {
+            this.requireRole(ctx, ['controller', 'trustedAuthority']);
+        }
+        if (!vin) throw new Error('vin is required');
+        const from = parseTimeBound(fromTs, 'fromTs');
+        const to = parseTimeBound(toTs, 'toTs');
+
+        const versions = await readVehicleVersions(ctx, this, vin);
+        const history = [];
+        for (const v of versions) {
+            if (
+                (from !== null && v.timestampMs < from) ||
+                (to !== null && v.timestampMs > to)
+            ) {
+                continue;
+            }
+            const entry = {
+                txId: v.txId,
+                timestamp: new Date(v.timestampMs).toISOString(),
+                isDelete: v.isDelete,
+            };
+            if (v.vehicle) {
+                entry.registrationStatus = v.vehicle.registrationStatus;
+                entry.trustedScoreSybil = v.vehicle.trustedScoreSybil;
+                entry.trustedScoreWromehole = v.vehicle.trustedScoreWromehole;
+                entry.trustScoreBlackhole = v.vehicle.trustScoreBlackhole;
+                entry.trustScorePoison = v.vehicle.trustScorePoison;
+                entry.trustScoreReplay = v.vehicle.trustScoreReplay;
+                Object.assign(
+                    entry,
+                    await overallTrustAt(ctx, v.vehicle, v.timestampMs)
+                );
+            }
+            history.push(entry);
+        }
+        return JSON.stringify({ vin, count: history.length, history });
+    }
+
+    // Point-in-time lookup: the vehicle record as committed at `timestamp`,
+    // with its overall score reported as in getVehicleHistory.
+    async getVehicleAt(ctx, vin, timestamp) {
+        const role = this.getClientRole(ctx);
+        if (role === 'vehicle') {
+            this.ensureVehicleOwnsVIN(ctx, vin);
+        } else {
+            this.requireRole(ctx, ['controller', 'trustedAuthority']);
+        }
+        if (!vin) throw new Error('vin is required');
+        const at = parseTimeBound(timestamp, 'timestamp');
+        if (at === null) throw new Error('timestamp is required');
+
+        const versions = await readVehicleVersions(ctx, this, vin);
+        const version = versions.filter((v) => v.timestampMs <= at).pop();
+        if (!version || version.isDelete || !version.vehicle) {
+            throw new Error(
+                `Vehicle ${vin} did not exist at ${new Date(at).toISOString()}`
+            );
+        }
+        return JSON.stringify({
+            ...version.vehicle,
+            ...(await overallTrustAt(
+                ctx,
+                version.vehicle,
+                version.timestampMs
+            )),
+            asOf: new Date(at).toISOString(),
+            txId: version.txId,
+            committedAt: new Date(version.timestampMs).toISOString(),
+        });
+    }
+
+    // Controller/trustedAuthority: apply gradual recovery earned through
+    // penalty-free periods on every trust dimension (lib/recovery.js)
+    async recoverTrust(ctx, vin) {
+        return recovery.recoverTrust(ctx, this, vin);
+    }
+
     // Reset all trust-related scores for a vehicle back to 100.
     // Only controller (or trustedAuthority) can perform this reset; vehicles cannot.
     async resetTrustScores(ctx, vin) {
@@ -210,26 +466,30 @@ class SdvNRegistration extends Contract {
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
-        // Reset the underlying scores; overallTrustScore is derived when retrieving via getVehicle.
-        vehicle.trustedScoreSybil = 100;
-        vehicle.trustedScoreWromehole = 100;
-        vehicle.trustScoreBlackhole = 100;
-        vehicle.trustScorePoison = 100;
-        vehicle.trustScoreReplay = 100;
-        // Reset neighbor arrays
-        vehicle.neighborArray = [];
-        vehicle.neighborArrayBlackholeVotes = [];
-        vehicle.neighborArrayRoutingData = [];
+        const overallBefore = (await trust.summarize(ctx, vehicle)).overall;
+        // Reset the underlying scores and the persisted overallTrustScore used by rich queries.
+        for (const field of Object.values(trust.DIMENSIONS)) {
+            vehicle[field] = 100;
+        }
+        delete vehicle.trustRecovery;
+        const summary = await trust.refresh(ctx, vehicle);
+        // Reset neighbor votes (flowIds are kept for replay detection)
+        for (const detector of [
+            'wormhole',
+            'ranging',
+            'leash',
+            'blackhole',
+            'poison',
+        ]) {
+            const votes = await voteStore.getVotes(ctx, detector, vin, vehicle);
+            await voteStore.deleteVotes(ctx, detector, votes, vehicle);
+        }
         await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
-        // Recompute overall for convenience in the response.
-        const scores = [
-            vehicle.trustedScoreSybil,
-            vehicle.trustedScoreWromehole,
-            vehicle.trustScoreBlackhole,
-            vehicle.trustScorePoison,
-            vehicle.trustScoreReplay,
-        ];
-        const overall = scores.reduce((a, b) => a + b, 0) / scores.length;
+        events.emit(ctx, this, events.EVENT_TYPES.TRUST_RESET, {
+            vin,
+            overallBefore,
+            resetBy: this.getClientRole(ctx),
+        });
         return JSON.stringify({
             VIN: vin,
             trustedScoreSybil: vehicle.trustedScoreSybil,
@@ -237,13 +497,22 @@ class SdvNRegistration extends Contract {
             trustScoreBlackhole: vehicle.trustScoreBlackhole,
             trustScorePoison: vehicle.trustScorePoison,
             trustScoreReplay: vehicle.trustScoreReplay,
-            overallTrustScore: Math.round(overall),
+            overallTrustScore: vehicle.overallTrustScore,
+            trust: summary,
         });
     }
 
     // ---------- Controller/Vehicle APIs ----------
-    // Store a location update; keep only the 20 most recent
-    async storeLocation(ctx, vin, latitude, longitude, timestamp) {
+    // Store a location update in the private locations collection; keep only the
+    // policy locations.maxEntries most recent (default 20).
+    // Coordinates are passed as transient data under 'location':
+    //   { latitude, longitude, timestamp?, salt }
+    // so they never appear in the transaction proposal recorded on the ledger.
+    // `salt` (random, >= 16 chars) is stored privately and hashed with the entry.
+    // A vehicle signature may accompany them under 'signature' (lib/signatures.js).
+    // Out-of-range coordinates are rejected; physically impossible jumps are
+    // stored flagged and penalized (lib/plausibility.js).
+    async storeLocation(ctx, vin) {
         // controller can write any; vehicle can write own VIN only
         const role = this.getClientRole(ctx);
         if (role === 'vehicle') {
@@ -251,26 +520,162 @@ class SdvNRegistration extends Contract {
         } else {
             this.requireRole(ctx, ['controller']);
         }
+        const transient = ctx.stub.getTransient();
+        const raw = transient && transient.get('location');
+        if (!raw || !raw.length) {
+            throw new Error('location must be provided as transient data');
+        }
+        let input;
+        try {
+            input = JSON.parse(Buffer.from(raw).toString('utf8'));
+        } catch (_) {
+            throw new Error('transient location must be JSON');
+        }
+        const entry = {
+            latitude: Number(input.latitude),
+            longitude: Number(input.longitude),
+            timestamp: input.timestamp || this.txNowIso(ctx),
+            salt: locations.assertSalt(input.salt),
+        };
+        plausibility.assertCoordinates(entry.latitude, entry.longitude);
         const vehKey = this.keyForVehicle(vin);
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
-        if (!vehicle.locations || !Array.isArray(vehicle.locations))
-            vehicle.locations = [];
-        const entry = {
-            latitude: Number(latitude),
-            longitude: Number(longitude),
-            timestamp: timestamp || this.txNowIso(ctx),
-        };
-        vehicle.locations.push(entry);
-        if (vehicle.locations.length > 20) {
-            vehicle.locations = vehicle.locations.slice(-20);
+        lifecycle.assertActive(vehicle, vin, 'location updates');
+        // Location reports come from the vehicle itself
+        if (lifecycle.statusOf(vehicle) === lifecycle.STATUS.QUARANTINED) {
+            throw new Error(
+                `Vehicle ${vin} is quarantined; location updates refused`
+            );
         }
+        await lifecycle.assertCallerActive(ctx, this, 'location updates');
+        // Optional (or policy-mandated) signature by the vehicle itself
+        const signed = await signatures.verify(
+            ctx,
+            this,
+            vin,
+            {
+                op: 'storeLocation',
+                vin: String(vin),
+                latitude: entry.latitude,
+                longitude: entry.longitude,
+                timestamp: input.timestamp || null,
+            },
+            vehicle
+        );
+        if (signed) entry.signed = signed;
+        // Impossible jumps from the previous points cost wormhole trust
+        const check = await plausibility.check(
+            ctx,
+            this,
+            vin,
+            vehicle,
+            await locations.getLocations(ctx, vin, vehicle),
+            entry
+        );
+        const trace = await locations.appendLocation(ctx, vin, vehicle, entry);
         await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        // Proposal responses end up in the block: return the public summary
+        // and plausibility outcome only, never coordinates
         return JSON.stringify({
             vin,
-            count: vehicle.locations.length,
-            last: entry,
+            count: trace.length,
+            lastTimestamp: vehicle.locationSummary.lastTimestamp,
+            hash: vehicle.locationSummary.lastHash,
+            plausible: check.plausible,
+            plausibility: {
+                checked: check.checked,
+                reasons: check.reasons,
+                distanceMeters: check.distanceMeters,
+                elapsedSeconds: check.elapsedSeconds,
+                speedMetersPerSecond: check.speedMetersPerSecond,
+                accelerationMetersPerSecond2:
+                    check.accelerationMetersPerSecond2,
+                before: check.before,
+                after: check.after,
+                quarantined: check.quarantined,
+            },
+        });
+    }
+
+    // Read the private location trace of a vehicle (controller/trustedAuthority only)
+    async getVehicleLocations(ctx, vin) {
+        this.requireRole(ctx, ['controller', 'trustedAuthority']);
+        if (!vin) throw new Error('vin is required');
+        const data = await ctx.stub.getState(this.keyForVehicle(vin));
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+        const trace = await locations.getLocations(ctx, vin, vehicle);
+        return JSON.stringify({ vin, count: trace.length, locations: trace });
+    }
+
+    // ---------- Lifecycle APIs (delegating to lib/lifecycle.js) ----------
+    // Controller/trustedAuthority: suspend an active vehicle
+    async suspendVehicle(ctx, vin, reason) {
+        return lifecycle.transition(ctx, this, vin, 'suspend', reason);
+    }
+
+    // trustedAuthority: revoke an active or suspended vehicle
+    async revokeVehicle(ctx, vin, reason) {
+        return lifecycle.transition(ctx, this, vin, 'revoke', reason);
+    }
+
+    // Controller/trustedAuthority: reinstate a suspended vehicle (revoked: trustedAuthority only)
+    async reinstateVehicle(ctx, vin, reason) {
+        return lifecycle.transition(ctx, this, vin, 'reinstate', reason);
+    }
+
+    // Controller/trustedAuthority: permanently deregister a vehicle
+    async deregisterVehicle(ctx, vin, reason) {
+        return lifecycle.transition(ctx, this, vin, 'deregister', reason);
+    }
+
+    // Controller/trustedAuthority: release a quarantined vehicle after review
+    async releaseQuarantine(ctx, vin, reason) {
+        return lifecycle.transition(ctx, this, vin, 'release', reason);
+    }
+
+    // TrustedAuthority: overall trust below which vehicles are quarantined
+    async setQuarantineThreshold(ctx, threshold) {
+        return quarantine.setThreshold(ctx, this, threshold);
+    }
+
+    async getQuarantineThreshold(ctx) {
+        const threshold = await quarantine.getThreshold(ctx);
+        return JSON.stringify({ threshold });
+    }
+
+    // ---------- Detection policy (delegating to lib/policy.js) ----------
+    // TrustedAuthority: store a new policy version; policyJson is a (partial)
+    // policy document overlaid on the current one
+    async setPolicy(ctx, policyJson) {
+        const next = await policy.set(ctx, this, policyJson);
+        return JSON.stringify(next);
+    }
+
+    // Current policy, or a specific version
+    async getPolicy(ctx, version) {
+        return JSON.stringify(await policy.get(ctx, version));
+    }
+
+    // Current lifecycle status and the transition log of a vehicle
+    async getVehicleStatus(ctx, vin) {
+        const role = this.getClientRole(ctx);
+        if (role === 'vehicle') {
+            this.ensureVehicleOwnsVIN(ctx, vin);
+        } else {
+            this.requireRole(ctx, ['controller', 'trustedAuthority']);
+        }
+        const data = await ctx.stub.getState(this.keyForVehicle(vin));
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+        return JSON.stringify({
+            vin,
+            status: lifecycle.statusOf(vehicle),
+            active: lifecycle.isActive(vehicle),
+            quarantine: vehicle.quarantine || null,
+            transitions: vehicle.statusTransitions || [],
         });
     }
 
@@ -281,10 +686,10 @@ class SdvNRegistration extends Contract {
 
         const results = [];
         // Iterate over keys that start with the vin authority prefix
-        const startKey = 'vinreg:';
-        // endKey is the next ASCII character after ':' to bound the range
-        const endKey = 'vinreg;';
-        const iterator = await ctx.stub.getStateByRange(startKey, endKey);
+        const iterator = await ctx.stub.getStateByRange(
+            VIN_AUTHORITY_START_KEY,
+            VIN_AUTHORITY_END_KEY
+        );
         try {
             // Use explicit next() loop for broad compatibility across Fabric Node shim versions
             // eslint-disable-next-line no-constant-condition
@@ -292,36 +697,190 @@ class SdvNRegistration extends Contract {
                 const res = await iterator.next();
                 if (res.done) break;
                 const { key, value } = res.value || {};
+                results.push(await toVinStatus(ctx, this, key, value));
+            }
+        } finally {
+            await iterator.close();
+        }
+        return JSON.stringify(results);
+    }
+
+    // Paginated variant of listVINStatuses for large registries (query only).
+    // `registered` ('true' | 'false' | '') filters within each page, so a page may
+    // hold fewer than pageSize entries; keep following `bookmark` until it is empty.
+    async listVINStatusesPaginated(ctx, pageSize, bookmark, registered) {
+        this.requireRole(ctx, ['controller', 'trustedAuthority']);
+
+        const size = Number(pageSize);
+        const limit =
+            Number.isInteger(size) && size > 0 ? Math.min(size, 500) : 100;
+        const filter = String(registered || '').toLowerCase();
+        if (filter && filter !== 'true' && filter !== 'false') {
+            throw new Error("registered must be 'true' or 'false'");
+        }
+
+        const { iterator, metadata } =
+            await ctx.stub.getStateByRangeWithPagination(
+                VIN_AUTHORITY_START_KEY,
+                VIN_AUTHORITY_END_KEY,
+                limit,
+                bookmark || ''
+            );
+        const records = [];
+        let scanned = 0;
+        try {
+            // eslint-disable-next-line no-constant-condition
+            while (true) {
+                const res = await iterator.next();
+                if (res.done) break;
+                const { key, value } = res.value || {};
+                scanned += 1;
+                const status = await toVinStatus(ctx, this, key, value);
+                if (filter && String(status.registered) !== filter) continue;
+                records.push(status);
+            }
+        } finally {
+            await iterator.close();
+        }
+        return JSON.stringify({
+            records,
+            scanned,
+            bookmark: (metadata && metadata.bookmark) || '',
+        });
+    }
+
+    // ---------- Rich queries (requires CouchDB state database) ----------
+    // Query vehicle records with a CouchDB Mango selector, paginated by bookmark.
+    // `query` is either a bare selector or { selector, sort, use_index }; the
+    // selector is always restricted to docType 'vehicle', so records registered
+    // before docType existed only match after backfillVehicleDocs. Matching
+    // indexes ship in META-INF/statedb/couchdb/indexes.
+    async queryVehicles(ctx, query, pageSize, bookmark) {
+        this.requireRole(ctx, ['controller', 'trustedAuthority']);
+        let parsed = {};
+        try {
+            parsed = query ? JSON.parse(query) : {};
+        } catch (_) {
+            throw new Error('query must be a JSON Mango selector');
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('query must be a JSON Mango selector');
+        }
+        const mango = parsed.selector ? { ...parsed } : { selector: parsed };
+        mango.selector = { ...mango.selector, docType: 'vehicle' };
+
+        const size = Number(pageSize);
+        const limit =
+            Number.isInteger(size) && size > 0 ? Math.min(size, 200) : 25;
+
+        const { iterator, metadata } =
+            await ctx.stub.getQueryResultWithPagination(
+                JSON.stringify(mango),
+                limit,
+                bookmark || ''
+            );
+        const records = [];
+        try {
+            // eslint-disable-next-line no-constant-condition
+            while (true) {
+                const res = await iterator.next();
+                if (res.done) break;
+                const { value } = res.value || {};
                 const text = value ? value.toString('utf8') : '';
-                let rec = {};
                 try {
-                    rec = text ? JSON.parse(text) : {};
+                    if (text) records.push(JSON.parse(text));
+                } catch (_) {
+                    // ignore malformed records
+                }
+            }
+        } finally {
+            await iterator.close();
+        }
+        return JSON.stringify({
+            records,
+            fetchedRecordsCount: metadata
+                ? metadata.fetchedRecordsCount
+                : records.length,
+            bookmark: (metadata && metadata.bookmark) || '',
+        });
+    }
+
+    // Controller/trustedAuthority: add docType and overallTrustScore to vehicle
+    // records written before they existed, so queryVehicles matches them, and
+    // index their public keys (lib/keys.js indexLegacy) for evaluateSybil.
+    // Scans up to pageSize records (default 100, max 500) from `bookmark`; call
+    // again with the returned bookmark until it is empty. Fabric allows paginated
+    // range queries in read-only transactions only, so the bookmark is simply
+    // the next vehicle key.
+    async backfillVehicleDocs(ctx, pageSize, bookmark) {
+        this.requireRole(ctx, ['controller', 'trustedAuthority']);
+
+        const size = Number(pageSize);
+        const limit =
+            Number.isInteger(size) && size > 0 ? Math.min(size, 500) : 100;
+        const start = bookmark ? String(bookmark) : VEHICLE_START_KEY;
+        if (!start.startsWith(VEHICLE_START_KEY)) {
+            throw new Error(
+                'bookmark must be a bookmark returned by this call'
+            );
+        }
+
+        const iterator = await ctx.stub.getStateByRange(start, VEHICLE_END_KEY);
+        const updated = [];
+        const indexWrites = new Map();
+        let scanned = 0;
+        let next = '';
+        try {
+            // eslint-disable-next-line no-constant-condition
+            while (true) {
+                const res = await iterator.next();
+                if (res.done) break;
+                const { key, value } = res.value || {};
+                if (scanned === limit) {
+                    next = key;
+                    break;
+                }
+                scanned += 1;
+                let vehicle;
+                try {
+                    vehicle = JSON.parse(value.toString('utf8'));
                 } catch (_) {
-                    // ignore parse errors and proceed with defaults
+                    continue; // leave malformed records alone
                 }
-                const vin =
-                    rec.vin ||
-                    (key && key.startsWith(startKey)
-                        ? key.slice(startKey.length)
-                        : key);
-                // Check if a vehicle asset exists for this VIN
-                const vehKey = this.keyForVehicle(vin);
-                const vehBytes = await ctx.stub.getState(vehKey);
-                const registered = !!(vehBytes && vehBytes.length);
-                results.push({
+                const vin = key.slice(VEHICLE_START_KEY.length);
+                const indexed = await keys.indexLegacy(
+                    ctx,
+                    this,
                     vin,
-                    storedAt: rec.createdAt || null,
-                    registered,
-                });
+                    vehicle,
+                    indexWrites
+                );
+                const hasScore =
+                    typeof vehicle.overallTrustScore === 'number' &&
+                    Number.isFinite(vehicle.overallTrustScore);
+                if (vehicle.docType !== 'vehicle' || !hasScore) {
+                    vehicle.docType = 'vehicle';
+                    if (!hasScore) await trust.refresh(ctx, vehicle);
+                    await ctx.stub.putState(
+                        key,
+                        Buffer.from(JSON.stringify(vehicle))
+                    );
+                } else if (!indexed) {
+                    continue;
+                }
+                updated.push(vin);
             }
         } finally {
             await iterator.close();
         }
-        return JSON.stringify(results);
+        return JSON.stringify({ scanned, updated, bookmark: next });
     }
 
     // ---------- Wormhole-related APIs (delegating to lib/wormhole.js) ----------
-    // Role: any vehicle can submit a vote about a VIN
+    // Votes and cross-validations accept a vehicle signature as transient data
+    // 'signature'; see lib/signatures.js for the signed fields.
+    // Role: any vehicle can submit a vote about another VIN; the voter is the
+    // caller's certificate vin (neighborId is optional and must match it)
     async storeNeighborVote(
         ctx,
         vin,
@@ -343,6 +902,61 @@ class SdvNRegistration extends Contract {
         );
     }
 
+    // Role: any vehicle can submit its measured distance (rangeMeters, method
+    // 'rssi' | 'tof' | 'other') to another VIN plus its own position; used by
+    // crossValidation to multilaterate the VIN's position
+    async storeRangingEvidence(
+        ctx,
+        vin,
+        neighborId,
+        rangeMeters,
+        method,
+        longitude,
+        latitude,
+        timestamp
+    ) {
+        return wormhole.storeRangingEvidence(
+            ctx,
+            this,
+            vin,
+            neighborId,
+            rangeMeters,
+            method,
+            longitude,
+            latitude,
+            timestamp
+        );
+    }
+
+    // Role: any vehicle can report the timing of a message received from VIN
+    // (send/receive timestamps, claimed sender position, optional receiver
+    // position); receptions that would need faster-than-light travel cost
+    // wormhole trust
+    async storePacketLeashVote(
+        ctx,
+        vin,
+        neighborId,
+        sendTime,
+        receiveTime,
+        senderLongitude,
+        senderLatitude,
+        receiverLongitude,
+        receiverLatitude
+    ) {
+        return leash.storePacketLeashVote(
+            ctx,
+            this,
+            vin,
+            neighborId,
+            sendTime,
+            receiveTime,
+            senderLongitude,
+            senderLatitude,
+            receiverLongitude,
+            receiverLatitude
+        );
+    }
+
     // Role: only the specific vehicle for VIN can run crossValidation
     async crossValidation(ctx, vin, longitudeV, latitudeV, timestampV) {
         return wormhole.crossValidation(
@@ -372,7 +986,7 @@ class SdvNRegistration extends Contract {
     }
 
     // ---------- Blackhole-related APIs (delegating to lib/blackhole.js) ----------
-    // Vehicle: submit a binary vote (1/0) about a VIN
+    // Vehicle: submit a binary vote (1/0) about another VIN (one per window)
     async storeBlackholeNeighborVote(ctx, vin, neighborId, vote, timestamp) {
         return blackhole.storeNeighborVoteBlackhole(
             ctx,
@@ -395,7 +1009,7 @@ class SdvNRegistration extends Contract {
     }
 
     // ---------- Poison-related APIs (delegating to lib/poison.js) ----------
-    // Vehicle: submit a routing-data vote (1/0) about a VIN
+    // Vehicle: submit a routing-data vote (1/0) about another VIN (one per window)
     async storePoisonNeighborRoutingVote(
         ctx,
         vin,
@@ -431,6 +1045,18 @@ class SdvNRegistration extends Contract {
         return poison.reduceTrustScorePoison(ctx, this, vin, delta);
     }
 
+    // ---------- Sybil-related APIs (delegating to lib/sybil.js) ----------
+    // Controller: look for shared public keys and near-identical trajectories
+    // between a VIN and candidate VINs; penalize new evidence
+    async evaluateSybil(ctx, vin, candidateVins) {
+        return sybil.evaluateSybil(ctx, this, vin, candidateVins);
+    }
+
+    // Controller: manually reduce trustedScoreSybil by delta (default 1)
+    async reduceSybilScore(ctx, vin, delta) {
+        return sybil.reduceTrustScoreSybil(ctx, this, vin, delta);
+    }
+
     // ---------- Replay attack mitigation APIs (delegating to lib/replay.js) ----------
     // Vehicle: receiver stores a flowId for the given sender VIN
     async storeFlowIdReplay(ctx, senderVin, flowId, timestamp) {
@@ -447,6 +1073,22 @@ class SdvNRegistration extends Contract {
     async checkFlowIdReplay(ctx, senderVin, flowId) {
         return replay.checkFlowIdReplay(ctx, this, senderVin, flowId);
     }
+
+    // Vehicle: receiver checks and records a flowId in one transaction; a
+    // replay within the window costs the sender replay.penalty points. With
+    // policy replay.mode 'sequence-window' the flowId is the sender's sequence
+    // number, checked against a sliding window (lib/seqwindow.js). An optional
+    // payloadHash (hex SHA-256) also catches the same content under a new flowId
+    async checkAndRecordFlowId(ctx, senderVin, flowId, timestamp, payloadHash) {
+        return replay.checkAndRecordFlowId(
+            ctx,
+            this,
+            senderVin,
+            flowId,
+            timestamp,
+            payloadHash
+        );
+    }
 }
 
 module.exports = SdvNRegistration;
@@ -0,0 +1,105 @@
+'use strict';
+
+// Sequence-number sliding-window anti-replay (as in IPsec, RFC 4303 section
+// 3.4.3). Each sender and receiver pair keeps one constant-size record,
+// replayseq:<senderVin>:<receiverVin>:
+//   { vin, receiver, highest, bitmap, windowSize, updatedAt }
+// `highest` is the largest sequence number accepted so far; bit i of `bitmap`
+// (hex) is set when sequence number highest - i was seen. A number is
+//  - new when it is above `highest` (the window slides forward) or inside the
+//    window with its bit still clear,
+//  - a duplicate when its bit is set,
+//  - stale when it is `windowSize` or more below `highest`.
+// A broadcast reaches several receivers with the same sequence number, so
+// each receiver has its own window: a number is accepted at most once per
+// receiver, and concurrent checks by one receiver serialize through MVCC.
+
+// Upper bound for policy replay.sequenceWindowSize
+const MAX_WINDOW_SIZE = 1024;
+
+function keyForSequenceWindow(senderVin, receiverVin) {
+    return `replayseq:${senderVin}:${receiverVin}`;
+}
+
+function parseSequence(value) {
+    const s = String(value ?? '').trim();
+    const n = Number(s);
+    if (!/^\d+$/.test(s) || !Number.isSafeInteger(n) || n < 1) {
+        throw new Error(
+            'sequenceNumber must be a positive integer in sequence-window replay mode'
+        );
+    }
+    return n;
+}
+
+/**
+ * Apply `seq` to `state` (in memory) with a window of `windowSize` bits
+ * (at most MAX_WINDOW_SIZE).
+ * Returns { accepted, reason: null | 'duplicate' | 'stale', state }.
+ */
+function check(state, seq, windowSize) {
+    const size = Math.min(MAX_WINDOW_SIZE, Math.max(1, Math.floor(windowSize)));
+    const mask = (1n << BigInt(size)) - 1n;
+    const highest = Number(state && state.highest) || 0;
+    let bitmap = BigInt(`0x${(state && state.bitmap) || '0'}`) & mask;
+
+    let accepted = false;
+    let reason = null;
+    let nextHighest = highest;
+    if (seq > highest) {
+        const shift = BigInt(Math.min(seq - highest, size + 1));
+        bitmap = ((bitmap << shift) | 1n) & mask;
+        nextHighest = seq;
+        accepted = true;
+    } else {
+        const offset = highest - seq;
+        if (offset >= size) {
+            reason = 'stale';
+        } else if (bitmap & (1n << BigInt(offset))) {
+            reason = 'duplicate';
+        } else {
+            bitmap |= 1n << BigInt(offset);
+            accepted = true;
+        }
+    }
+    return {
+        accepted,
+        reason,
+        state: {
+            highest: nextHighest,
+            bitmap: bitmap.toString(16),
+            windowSize: size,
+        },
+    };
+}
+
+module.exports = {
+    MAX_WINDOW_SIZE,
+    keyForSequenceWindow,
+    parseSequence,
+    check,
+
+    /**
+     * Stored window of a sender as seen by a receiver, or null.
+     */
+    async load(ctx, senderVin, receiverVin) {
+        const data = await ctx.stub.getState(
+            keyForSequenceWindow(senderVin, receiverVin)
+        );
+        return data && data.length ? JSON.parse(data.toString()) : null;
+    },
+
+    async save(ctx, helpers, senderVin, receiverVin, state) {
+        await ctx.stub.putState(
+            keyForSequenceWindow(senderVin, receiverVin),
+            Buffer.from(
+                JSON.stringify({
+                    vin: String(senderVin),
+                    receiver: String(receiverVin),
+                    ...state,
+                    updatedAt: helpers.txNowIso(ctx),
+                })
+            )
+        );
+    },
+};
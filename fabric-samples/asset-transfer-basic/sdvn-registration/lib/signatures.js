@@ -0,0 +1,174 @@
+'use strict';
+
+// Vehicle-signed payloads. storeLocation, the neighbor vote transactions,
+// crossValidation and crossValidationPoison accept an optional signature made
+// with the vehicle's registered key (lib/keys.js), passed as transient data
+// 'signature': { "signature": "<base64>" }. With policy signatures.required the
+// signature is mandatory, so a gateway identity alone cannot submit data on a
+// vehicle's behalf.
+//
+// The signed message is the canonical JSON (keys sorted recursively, no
+// whitespace) of the operation's fields as the chaincode interprets them:
+//   storeLocation                  { op, vin, latitude, longitude, timestamp }
+//   storeNeighborVote              { op, vin, voter, vote, longitude, latitude, timestamp }
+//   storeRangingEvidence           { op, vin, voter, rangeMeters, method, longitude, latitude, timestamp }
+//   storePacketLeashVote           { op, vin, voter, sendTime, receiveTime, senderLongitude,
+//                                    senderLatitude, receiverLongitude, receiverLatitude, timestamp }
+//                                  (timestamp: the receive time as ISO, millisecond precision)
+//   storeBlackholeNeighborVote     { op, vin, voter, vote, timestamp }
+//   storePoisonNeighborRoutingVote { op, vin, voter, vote, routingData, timestamp }
+//   crossValidation                { op, vin, longitude, latitude, timestamp }
+//   crossValidationPoison          { op, vin, routingData, timestamp }
+// Numbers are JSON numbers; a missing timestamp or coordinate is null. With
+// signatures.maxAgeSeconds > 0 the signed timestamp is required and must lie
+// within that many seconds of the transaction time. ECDSA signatures are
+// SHA-256, DER or IEEE P1363 encoded; Ed25519 signs the message directly.
+// Signatures verify against the current key only, so a key retired by a
+// rotation (lib/keyrotation.js) cannot sign new data even with a backdated
+// timestamp.
+
+const crypto = require('crypto');
+const keys = require('./keys');
+const policy = require('./policy');
+
+const TRANSIENT_KEY = 'signature';
+
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map((v) => canonicalize(v)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const fields = Object.keys(value)
+            .filter((k) => value[k] !== undefined)
+            .sort()
+            .map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`);
+        return `{${fields.join(',')}}`;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'null';
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Signature supplied with this transaction, or null
+function readSignature(ctx) {
+    const transient = ctx.stub.getTransient();
+    const raw = transient && transient.get(TRANSIENT_KEY);
+    if (!raw || !raw.length) return null;
+    const text = Buffer.from(raw).toString('utf8').trim();
+    let value = text;
+    try {
+        const parsed = JSON.parse(text);
+        value =
+            parsed && typeof parsed === 'object' ? parsed.signature : parsed;
+    } catch (_) {
+        // a bare base64 string is accepted as well
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(
+            "transient 'signature' must be JSON { signature: <base64> }"
+        );
+    }
+    return Buffer.from(value.trim(), 'base64');
+}
+
+function verifyWith(parsedKey, message, signature) {
+    if (parsedKey.keyType === 'ed25519') {
+        return crypto.verify(null, message, parsedKey.keyObject, signature);
+    }
+    return ['der', 'ieee-p1363'].some((dsaEncoding) => {
+        try {
+            return crypto.verify(
+                'sha256',
+                message,
+                { key: parsedKey.keyObject, dsaEncoding },
+                signature
+            );
+        } catch (_) {
+            return false;
+        }
+    });
+}
+
+// The vehicle's current key, or null for a legacy unparseable one
+function currentKeyOf(vehicle) {
+    try {
+        return keys.parsePublicKey(vehicle.publicKey);
+    } catch (_) {
+        return null;
+    }
+}
+
+module.exports = {
+    TRANSIENT_KEY,
+    canonicalize,
+
+    /**
+     * Verify the transaction's signed payload, if any. `payload` holds the
+     * operation's fields ({ op, vin, ... }); `signerVin` is the vehicle whose
+     * key must have signed it (its record is read unless `signerVehicle` is
+     * given). Returns null when no signature was supplied and none is required,
+     * otherwise { signedBy, keyFingerprint, payloadHash, signature } for the
+     * stored record. Throws when a signature is missing, stale or invalid.
+     * Options: { required } overrides the policy flag.
+     */
+    async verify(ctx, helpers, signerVin, payload, signerVehicle, options) {
+        const { required } = options || {};
+        const rules = (await policy.load(ctx)).signatures;
+        const signature = readSignature(ctx);
+        if (!signature) {
+            if (required === undefined ? rules.required : required) {
+                throw new Error(
+                    `A signature by vehicle ${signerVin} is required for ${payload.op}`
+                );
+            }
+            return null;
+        }
+
+        if (rules.maxAgeSeconds > 0) {
+            const signedAt = Date.parse(payload.timestamp);
+            if (!Number.isFinite(signedAt)) {
+                throw new Error(
+                    `Signed ${payload.op} payloads must carry a timestamp`
+                );
+            }
+            const now = Date.parse(helpers.txNowIso(ctx));
+            if (Math.abs(now - signedAt) > rules.maxAgeSeconds * 1000) {
+                throw new Error(
+                    `Signed ${payload.op} payload timestamp ${payload.timestamp} is more than ${rules.maxAgeSeconds}s from the transaction time`
+                );
+            }
+        }
+
+        let vehicle = signerVehicle;
+        if (!vehicle) {
+            const data = await ctx.stub.getState(
+                helpers.keyForVehicle(signerVin)
+            );
+            if (!data || !data.length) {
+                throw new Error(`Vehicle ${signerVin} not found`);
+            }
+            vehicle = JSON.parse(data.toString());
+        }
+
+        const message = Buffer.from(canonicalize(payload), 'utf8');
+        const signer = currentKeyOf(vehicle);
+        if (!signer) {
+            throw new Error(
+                `Vehicle ${signerVin} has no valid registered public key to verify against`
+            );
+        }
+        if (!verifyWith(signer, message, signature)) {
+            throw new Error(
+                `Invalid signature on ${payload.op} payload for vehicle ${signerVin}`
+            );
+        }
+        return {
+            signedBy: String(signerVin),
+            keyFingerprint: signer.fingerprint,
+            payloadHash: crypto
+                .createHash('sha256')
+                .update(message)
+                .digest('hex'),
+            signature: signature.toString('base64'),
+        };
+    },
+};
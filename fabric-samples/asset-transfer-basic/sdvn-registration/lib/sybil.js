@@ -0,0 +1,360 @@
+'use strict';
+
+// Sybil detection helpers. Imported by the main contract and executed within the
+// same transaction context (ctx).
+//
+// Evidence that several VINs are identities of one physical node:
+//  - shared public key: another vehicle carries the same key (compared by
+//    fingerprint, lib/keys.js; identical raw strings for legacy records)
+//  - shared trajectory: another VIN reported near-identical positions at
+//    near-identical times (private location traces, lib/locations.js)
+// Each piece of evidence is recorded on both vehicles under `sybilEvidence` and
+// penalized once on trustedScoreSybil; re-evaluating the same pair does not
+// penalize again.
+
+const events = require('./events');
+const locations = require('./locations');
+const quarantine = require('./quarantine');
+const policy = require('./policy');
+const trust = require('./trust');
+const recovery = require('./recovery');
+const geo = require('./geo');
+const keys = require('./keys');
+
+const EVIDENCE_TYPES = ['sharedKey', 'trajectory'];
+
+function parseVinList(input) {
+    if (input === undefined || input === null || input === '') return [];
+    let list = input;
+    if (typeof list === 'string') {
+        const text = list.trim();
+        if (text.startsWith('[')) {
+            try {
+                list = JSON.parse(text);
+            } catch (_) {
+                throw new Error(
+                    'candidateVins must be a JSON array or a comma-separated list'
+                );
+            }
+        } else {
+            list = text.split(',');
+        }
+    }
+    if (!Array.isArray(list)) {
+        throw new Error(
+            'candidateVins must be a JSON array or a comma-separated list'
+        );
+    }
+    return [...new Set(list.map((v) => String(v).trim()).filter(Boolean))];
+}
+
+// Comparable form of a vehicle's key: its fingerprint, or the raw string
+// without whitespace for legacy keys that do not parse
+function keyIdOf(vehicle) {
+    if (vehicle.publicKeyFingerprint) return vehicle.publicKeyFingerprint;
+    return (
+        keys.fingerprintOf(vehicle.publicKey) ||
+        String(vehicle.publicKey || '').replace(/\s+/g, '')
+    );
+}
+
+function evidenceOf(vehicle) {
+    if (!vehicle.sybilEvidence || typeof vehicle.sybilEvidence !== 'object') {
+        vehicle.sybilEvidence = {};
+    }
+    for (const type of EVIDENCE_TYPES) {
+        if (!Array.isArray(vehicle.sybilEvidence[type])) {
+            vehicle.sybilEvidence[type] = [];
+        }
+    }
+    return vehicle.sybilEvidence;
+}
+
+/**
+ * Compare two location traces. A point of `a` matches when `b` has a point
+ * within `rules.timeToleranceSeconds` and `rules.distanceToleranceMeters`.
+ * Returns { matched, compared, ratio, maxDistanceMeters }.
+ */
+function compareTrajectories(a, b, rules) {
+    const toleranceMs = rules.timeToleranceSeconds * 1000;
+    const points = (trace) =>
+        trace
+            .map((loc) => ({
+                t: Date.parse(loc && loc.timestamp),
+                point: geo.toPoint(loc),
+            }))
+            .filter((p) => Number.isFinite(p.t) && p.point);
+    const pa = points(a);
+    const pb = points(b);
+    let matched = 0;
+    let maxDistance = 0;
+    for (const p of pa) {
+        let best = null;
+        for (const q of pb) {
+            if (Math.abs(p.t - q.t) > toleranceMs) continue;
+            const d = geo.haversineMeters(p.point, q.point);
+            if (d !== null && (best === null || d < best)) best = d;
+        }
+        if (best !== null && best <= rules.distanceToleranceMeters) {
+            matched += 1;
+            maxDistance = Math.max(maxDistance, best);
+        }
+    }
+    const compared = Math.min(pa.length, pb.length);
+    return {
+        matched,
+        compared,
+        ratio: compared ? Math.round((matched / compared) * 1000) / 1000 : 0,
+        maxDistanceMeters: Math.round(maxDistance * 100) / 100,
+    };
+}
+
+// Lower trustedScoreSybil by `penalty` and run the usual post-penalty steps.
+// Returns { before, after, quarantined }; the caller persists the vehicle.
+async function applyPenalty(ctx, helpers, vin, vehicle, penalty, decision) {
+    const current = await policy.load(ctx);
+    const before = Number(vehicle.trustedScoreSybil);
+    const after = Math.max(0, before - penalty);
+    vehicle.trustedScoreSybil = after;
+    recovery.notePenalty(ctx, helpers, vehicle, 'sybil');
+    await trust.refresh(ctx, vehicle);
+    const quarantined = await quarantine.applyThreshold(
+        ctx,
+        helpers,
+        vin,
+        vehicle,
+        {
+            detector: 'sybil',
+            decision,
+            before,
+            after,
+            policyVersion: current.version,
+        }
+    );
+    events.trustScoreChanged(
+        ctx,
+        helpers,
+        vin,
+        'sybil',
+        before,
+        after,
+        decision,
+        current.version
+    );
+    return { before, after, quarantined };
+}
+
+module.exports = {
+    compareTrajectories,
+
+    /**
+     * Controller-only: look for Sybil evidence involving `vin`.
+     * Public keys are compared ledger-wide through the key index
+     * (lib/keys.js, a point read); trajectories are compared with the
+     * VINs in `candidateVins` (JSON array or comma-separated list, at most
+     * policy sybil.maxCandidates). New evidence lowers trustedScoreSybil of both
+     * vehicles involved by sybil.sharedKeyPenalty / sybil.trajectoryPenalty.
+     */
+    async evaluateSybil(ctx, helpers, vin, candidateVins) {
+        helpers.requireRole(ctx, ['controller']);
+        if (!vin) throw new Error('vin is required');
+
+        const current = await policy.load(ctx);
+        const rules = current.sybil;
+        const candidates = parseVinList(candidateVins).filter(
+            (c) => c !== String(vin)
+        );
+        if (candidates.length > rules.maxCandidates) {
+            throw new Error(
+                `At most ${rules.maxCandidates} candidateVins can be evaluated at once`
+            );
+        }
+
+        const vehKey = helpers.keyForVehicle(vin);
+        const data = await ctx.stub.getState(vehKey);
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+
+        // Vehicles touched by this evaluation, persisted once at the end
+        const others = new Map();
+        const loadOther = async (otherVin) => {
+            if (others.has(otherVin)) return others.get(otherVin);
+            const raw = await ctx.stub.getState(
+                helpers.keyForVehicle(otherVin)
+            );
+            const rec = raw && raw.length ? JSON.parse(raw.toString()) : null;
+            others.set(otherVin, rec);
+            return rec;
+        };
+
+        const findings = [];
+        const ownKey = keyIdOf(vehicle);
+
+        // Shared public keys: the fingerprint index ledger-wide (legacy
+        // duplicates once backfillVehicleDocs indexed them, lib/keys.js),
+        // plus the given candidates
+        const indexKey =
+            vehicle.publicKeyFingerprint ||
+            keys.indexFingerprintOf(vehicle.publicKey);
+        const sharing = new Set(
+            indexKey
+                ? (await keys.vinsForFingerprint(ctx, indexKey)).filter(
+                      (v) => v !== String(vin)
+                  )
+                : []
+        );
+        for (const c of candidates) {
+            const other = await loadOther(c);
+            if (other && ownKey && keyIdOf(other) === ownKey) {
+                sharing.add(c);
+            }
+        }
+        for (const otherVin of sharing) {
+            findings.push({ type: 'sharedKey', vin: otherVin });
+        }
+
+        // Trajectories: only against explicit candidates
+        const ownTrace = await locations.getLocations(ctx, vin, vehicle);
+        const comparisons = [];
+        for (const c of candidates) {
+            const other = await loadOther(c);
+            if (!other) {
+                comparisons.push({ vin: c, skipped: 'not-found' });
+                continue;
+            }
+            const trace = await locations.getLocations(ctx, c, other);
+            const result = compareTrajectories(ownTrace, trace, rules);
+            const suspicious =
+                result.matched >= rules.minMatchedPoints &&
+                result.ratio >= rules.minMatchRatio;
+            comparisons.push({ vin: c, ...result, suspicious });
+            if (suspicious) findings.push({ type: 'trajectory', vin: c });
+        }
+
+        // Record evidence on both sides; penalize only what is new
+        const penalties = {
+            sharedKey: rules.sharedKeyPenalty,
+            trajectory: rules.trajectoryPenalty,
+        };
+        const now = helpers.txNowIso(ctx);
+        let ownPenalty = 0;
+        const newFindings = [];
+        const otherPenalty = new Map();
+        for (const f of findings) {
+            const own = evidenceOf(vehicle);
+            const other = await loadOther(f.vin);
+            if (!own[f.type].includes(f.vin)) {
+                own[f.type].push(f.vin);
+                ownPenalty += penalties[f.type];
+                newFindings.push(f);
+            }
+            if (other) {
+                const theirs = evidenceOf(other);
+                if (!theirs[f.type].includes(String(vin))) {
+                    theirs[f.type].push(String(vin));
+                    otherPenalty.set(
+                        f.vin,
+                        (otherPenalty.get(f.vin) || 0) + penalties[f.type]
+                    );
+                }
+            }
+        }
+
+        let decision = findings.length ? 'known-evidence' : 'no-evidence';
+        let before = Number(vehicle.trustedScoreSybil);
+        let after = before;
+        let quarantined = false;
+        if (ownPenalty > 0) {
+            decision = 'penalized';
+            ({ before, after, quarantined } = await applyPenalty(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                ownPenalty,
+                decision
+            ));
+        }
+        if (findings.length) vehicle.sybilEvidence.updatedAt = now;
+        if (findings.length || ownPenalty > 0) {
+            await ctx.stub.putState(
+                vehKey,
+                Buffer.from(JSON.stringify(vehicle))
+            );
+        }
+
+        const counterparts = [];
+        for (const [otherVin, other] of others) {
+            if (!other || !other.sybilEvidence) continue;
+            const penalty = otherPenalty.get(otherVin) || 0;
+            if (!penalty) continue;
+            const result = await applyPenalty(
+                ctx,
+                helpers,
+                otherVin,
+                other,
+                penalty,
+                'penalized-counterpart'
+            );
+            other.sybilEvidence.updatedAt = now;
+            await ctx.stub.putState(
+                helpers.keyForVehicle(otherVin),
+                Buffer.from(JSON.stringify(other))
+            );
+            counterparts.push({ vin: otherVin, penalty, ...result });
+        }
+
+        return JSON.stringify({
+            vin,
+            decision,
+            findings,
+            newFindings,
+            comparisons,
+            before,
+            after,
+            penalty: ownPenalty,
+            counterparts,
+            overallTrustScore: vehicle.overallTrustScore,
+            quarantined,
+            policyVersion: current.version,
+            trust: await trust.summarize(ctx, vehicle),
+        });
+    },
+
+    /**
+     * Controller: manually reduce trustedScoreSybil by delta (default 1).
+     */
+    async reduceTrustScoreSybil(ctx, helpers, vin, delta) {
+        helpers.requireRole(ctx, ['controller']);
+        if (!vin) throw new Error('vin is required');
+
+        const vehKey = helpers.keyForVehicle(vin);
+        const data = await ctx.stub.getState(vehKey);
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        const vehicle = JSON.parse(data.toString());
+
+        const reduction = Number(delta);
+        const actualDelta =
+            Number.isFinite(reduction) && reduction > 0 ? reduction : 1;
+
+        const { before, after, quarantined } = await applyPenalty(
+            ctx,
+            helpers,
+            vin,
+            vehicle,
+            actualDelta,
+            'manual-reduction'
+        );
+        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+
+        return JSON.stringify({
+            vin,
+            before,
+            after,
+            reduction: actualDelta,
+            overallTrustScore: vehicle.overallTrustScore,
+            quarantined,
+            trust: await trust.summarize(ctx, vehicle),
+        });
+    },
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+// Overall trust aggregation. The five per-attack scores on a vehicle record are
+// combined into `overallTrustScore` here and nowhere else, using the policy's
+// `trust` section (see lib/policy.js):
+//  - mode: 'weighted-mean' | 'min' | 'geometric-mean'
+//  - <dimension>Weight: relative weight of each score (0 leaves it out)
+
+const policy = require('./policy');
+
+// Per-attack dimensions: name used in policy/responses -> vehicle record field
+const DIMENSIONS = {
+    sybil: 'trustedScoreSybil',
+    wormhole: 'trustedScoreWromehole',
+    blackhole: 'trustScoreBlackhole',
+    poison: 'trustScorePoison',
+    replay: 'trustScoreReplay',
+};
+
+function scoresOf(vehicle) {
+    const scores = {};
+    for (const [name, field] of Object.entries(DIMENSIONS)) {
+        const n = Number(vehicle && vehicle[field]);
+        scores[name] = Number.isFinite(n) ? n : null;
+    }
+    return scores;
+}
+
+function weightsOf(rules) {
+    const weights = {};
+    for (const name of Object.keys(DIMENSIONS)) {
+        const w = Number(rules[`${name}Weight`]);
+        weights[name] = Number.isFinite(w) && w > 0 ? w : 0;
+    }
+    return weights;
+}
+
+/**
+ * Aggregate a vehicle's scores with the given `trust` policy section.
+ * Missing scores and zero-weight dimensions are ignored; returns a rounded
+ * number (0 when nothing is left to aggregate).
+ */
+function aggregate(vehicle, rules) {
+    const scores = scoresOf(vehicle);
+    const weights = weightsOf(rules);
+    const used = Object.keys(DIMENSIONS).filter(
+        (name) => scores[name] !== null && weights[name] > 0
+    );
+    if (!used.length) return 0;
+    const totalWeight = used.reduce((sum, name) => sum + weights[name], 0);
+
+    let overall;
+    if (rules.mode === 'min') {
+        overall = Math.min(...used.map((name) => scores[name]));
+    } else if (rules.mode === 'geometric-mean') {
+        if (used.some((name) => scores[name] <= 0)) {
+            overall = 0;
+        } else {
+            const logSum = used.reduce(
+                (sum, name) => sum + weights[name] * Math.log(scores[name]),
+                0
+            );
+            overall = Math.exp(logSum / totalWeight);
+        }
+    } else {
+        overall =
+            used.reduce((sum, name) => sum + weights[name] * scores[name], 0) /
+            totalWeight;
+    }
+    return Math.round(overall);
+}
+
+/**
+ * Per-dimension scores plus the aggregate under the current policy.
+ * Returns { scores, overall, mode, weights, policyVersion }.
+ */
+async function summarize(ctx, vehicle) {
+    const current = await policy.load(ctx);
+    return {
+        scores: scoresOf(vehicle),
+        overall: aggregate(vehicle, current.trust),
+        mode: current.trust.mode,
+        weights: weightsOf(current.trust),
+        policyVersion: current.version,
+    };
+}
+
+module.exports = {
+    DIMENSIONS,
+    aggregate,
+    summarize,
+
+    /**
+     * Recompute and set `vehicle.overallTrustScore` (the caller persists the
+     * record). Returns the same summary as summarize().
+     */
+    async refresh(ctx, vehicle) {
+        const summary = await summarize(ctx, vehicle);
+        vehicle.overallTrustScore = summary.overall;
+        return summary;
+    },
+};
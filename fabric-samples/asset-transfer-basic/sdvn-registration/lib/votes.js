@@ -0,0 +1,242 @@
+'use strict';
+
+// Per-vote ledger storage shared by the detector libs. Every vote is written
+// under its own composite key instead of being appended to the vehicle record,
+// so concurrent voters about the same VIN never touch the same key and the
+// vehicle document stays small. Evaluators read votes back with partial-key
+// range queries on (detector, vin).
+//
+// Key layout: vote~<detector>~<vin>~<timestamp>~<voterId>, where bucketed
+// votes (replaceVote, putBucketedVote) use the start of their window bucket
+// as the timestamp, so getVotesInBuckets can read a time window with exact
+// partial-key scans instead of every vote ever stored about the VIN.
+
+const VOTE_OBJECT_TYPE = 'vote';
+const UNDATED_BUCKET = 'undated';
+
+// Array fields that held votes inside vehicle:<vin> before per-vote keys.
+// Still read so records written by older chaincode versions keep working.
+const LEGACY_FIELDS = {
+    wormhole: 'neighborArray',
+    blackhole: 'neighborArrayBlackholeVotes',
+    poison: 'neighborArrayRoutingData',
+    replay: 'flowIdReplay',
+};
+
+// Detectors with keyed votes; ranging evidence (lib/wormhole.js) and packet
+// leash votes (lib/leash.js) never had a legacy array
+const DETECTORS = [...Object.keys(LEGACY_FIELDS), 'ranging', 'leash'];
+
+// ISO timestamps sort lexicographically, so normalize parseable values to keep
+// vote keys for a VIN in time order; anything else is kept verbatim.
+function sortableTimestamp(ts) {
+    const t = Date.parse(ts);
+    return Number.isFinite(t) ? new Date(t).toISOString() : String(ts);
+}
+
+// Start of the windowMs bucket holding epoch ms `at`, as a key segment
+function bucketStart(at, windowMs) {
+    return new Date(Math.floor(at / windowMs) * windowMs).toISOString();
+}
+
+// Append every vote under the partial key `attrs` to `results`
+async function scanVotes(ctx, attrs, results) {
+    const iterator = await ctx.stub.getStateByPartialCompositeKey(
+        VOTE_OBJECT_TYPE,
+        attrs
+    );
+    try {
+        // eslint-disable-next-line no-constant-condition
+        while (true) {
+            const res = await iterator.next();
+            if (res.done) break;
+            const { key, value } = res.value || {};
+            const text = value ? value.toString('utf8') : '';
+            try {
+                results.push({ key, entry: text ? JSON.parse(text) : {} });
+            } catch (_) {
+                // skip malformed entries
+            }
+        }
+    } finally {
+        await iterator.close();
+    }
+    return results;
+}
+
+function assertDetector(detector) {
+    if (!DETECTORS.includes(detector)) {
+        throw new Error(`Unknown vote detector '${detector}'`);
+    }
+}
+
+module.exports = {
+    LEGACY_FIELDS,
+
+    /**
+     * Write a single vote entry under its own composite key.
+     * Blind write: does not read any other vote, so it cannot MVCC-conflict
+     * with votes submitted concurrently about the same VIN.
+     * Returns the composite key used.
+     */
+    async putVote(ctx, detector, vin, voterId, entry) {
+        assertDetector(detector);
+        const key = ctx.stub.createCompositeKey(VOTE_OBJECT_TYPE, [
+            detector,
+            String(vin),
+            sortableTimestamp(entry.timestamp),
+            String(voterId),
+        ]);
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(entry)));
+        return key;
+    },
+
+    /**
+     * Store `entry` as voterId's only vote about a VIN within its `windowMs`
+     * bucket: the key is vote~<detector>~<vin>~<bucket start>~<voterId>, so a
+     * repeated vote overwrites the earlier one with a single point read and
+     * no range scan (concurrent voters touch disjoint keys). Entries with an
+     * unparseable timestamp share one 'undated' bucket per voter. Votes of the
+     * same voter still embedded in the legacy array of `vehicle` within
+     * `windowMs` (inclusive) of the entry are dropped.
+     * Returns { key, replaced, legacyChanged }; when legacyChanged is true the
+     * caller must persist `vehicle`.
+     */
+    async replaceVote(ctx, detector, vin, voterId, entry, windowMs, vehicle) {
+        assertDetector(detector);
+        const at = Date.parse(entry.timestamp);
+        const bucket = Number.isFinite(at)
+            ? bucketStart(at, windowMs)
+            : UNDATED_BUCKET;
+        const key = ctx.stub.createCompositeKey(VOTE_OBJECT_TYPE, [
+            detector,
+            String(vin),
+            bucket,
+            String(voterId),
+        ]);
+        const existing = await ctx.stub.getState(key);
+        let replaced = existing && existing.length ? 1 : 0;
+
+        const field = LEGACY_FIELDS[detector];
+        const legacy = field && vehicle && vehicle[field];
+        const previous = Array.isArray(legacy)
+            ? legacy.filter((e) => {
+                  if (!e || String(e.neighborId) !== String(voterId)) {
+                      return false;
+                  }
+                  const t = Date.parse(e.timestamp);
+                  return (
+                      !Number.isFinite(at) ||
+                      !Number.isFinite(t) ||
+                      Math.abs(at - t) <= windowMs
+                  );
+              })
+            : [];
+        if (previous.length) {
+            vehicle[field] = legacy.filter((e) => !previous.includes(e));
+            replaced += previous.length;
+        }
+
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(entry)));
+        return { key, replaced, legacyChanged: previous.length > 0 };
+    },
+
+    /**
+     * Write `entry` under the windowMs bucket of its timestamp:
+     * vote~<detector>~<vin>~<bucket start>~<voterId>. Unlike replaceVote
+     * nothing is replaced, so voterId must be unique (e.g. voter and txId).
+     * Blind write like putVote. Returns the composite key used.
+     */
+    async putBucketedVote(ctx, detector, vin, voterId, entry, windowMs) {
+        assertDetector(detector);
+        const at = Date.parse(entry.timestamp);
+        if (!Number.isFinite(at)) {
+            throw new Error(`Vote timestamp ${entry.timestamp} is invalid`);
+        }
+        const key = ctx.stub.createCompositeKey(VOTE_OBJECT_TYPE, [
+            detector,
+            String(vin),
+            bucketStart(at, windowMs),
+            String(voterId),
+        ]);
+        await ctx.stub.putState(key, Buffer.from(JSON.stringify(entry)));
+        return key;
+    },
+
+    /**
+     * Read the bucketed votes of one detector about a VIN whose windowMs
+     * buckets overlap [fromMs, toMs], one partial-key scan per bucket. Votes
+     * stored with another bucket size (before a policy change) are not found.
+     * Returns [{ key, entry }] in key order; callers still check each entry's
+     * own timestamp.
+     */
+    async getVotesInBuckets(ctx, detector, vin, fromMs, toMs, windowMs) {
+        assertDetector(detector);
+        const results = [];
+        const first = Math.floor(fromMs / windowMs) * windowMs;
+        for (let at = first; at <= toMs; at += windowMs) {
+            await scanVotes(
+                ctx,
+                [detector, String(vin), bucketStart(at, windowMs)],
+                results
+            );
+        }
+        return results;
+    },
+
+    /**
+     * Read all votes of one detector about a VIN.
+     * Returns [{ key, entry }]: entries still embedded in the legacy array of
+     * `vehicle` (if given) come first with key null, followed by keyed votes
+     * in key (timestamp) order.
+     */
+    async getVotes(ctx, detector, vin, vehicle) {
+        assertDetector(detector);
+        const results = [];
+        const field = LEGACY_FIELDS[detector];
+        const legacy = field && vehicle && vehicle[field];
+        if (Array.isArray(legacy)) {
+            for (const entry of legacy) results.push({ key: null, entry });
+        }
+        return scanVotes(ctx, [detector, String(vin)], results);
+    },
+
+    /**
+     * Delete the given votes (as returned by getVotes). Keyed votes are removed
+     * from the ledger; legacy embedded entries are dropped from `vehicle`, and
+     * the return value tells the caller whether the vehicle must be persisted.
+     */
+    async deleteVotes(ctx, detector, votes, vehicle) {
+        assertDetector(detector);
+        let legacyChanged = false;
+        const field = LEGACY_FIELDS[detector];
+        for (const v of votes) {
+            if (v.key) {
+                await ctx.stub.deleteState(v.key);
+            } else if (field && vehicle && Array.isArray(vehicle[field])) {
+                vehicle[field] = vehicle[field].filter((e) => e !== v.entry);
+                legacyChanged = true;
+            }
+        }
+        return legacyChanged;
+    },
+
+    /**
+     * Build the legacy array view of every detector's votes for a VIN so that
+     * getVehicle keeps returning neighborArray, neighborArrayBlackholeVotes,
+     * neighborArrayRoutingData and flowIdReplay as before.
+     */
+    async legacyView(ctx, vin, vehicle) {
+        const view = {};
+        for (const detector of Object.keys(LEGACY_FIELDS)) {
+            const votes = await module.exports.getVotes(
+                ctx,
+                detector,
+                vin,
+                vehicle
+            );
+            view[LEGACY_FIELDS[detector]] = votes.map((v) => v.entry);
+        }
+        return view;
+    },
+};
@@ -0,0 +1,248 @@
+'use strict';
+
+// Reputation-weighted majority for neighbor votes (wormhole, blackhole, poison).
+// Each vote counts with the voter's own current overall trust / 100, read from
+// its vehicle:<neighborId> record at evaluation time and aggregated under the
+// current policy (lib/trust.js). Voters below policy voting.minVoterTrust, and
+// neighbor ids without a vehicle record, are ignored. Votes without a voter
+// (entered by the controller through storeNeighborVoteV3) count with weight 1.
+// A voter counts once per tally, with its latest vote: window buckets
+// (lib/votes.js replaceVote) can still hold one vote on each side of a bucket
+// boundary.
+//
+// Only vehicles within radio range can observe each other, so when the target
+// is given each vote is also checked for proximity: the voter's and the
+// target's latest plausible stored locations (lib/locations.js) at the vote
+// time, each at most voting.locationMaxAgeSeconds old, must lie within
+// voting.radioRangeMeters (e.g. 300 m DSRC, 1 km C-V2X; 0 disables). Votes
+// from farther away are ignored ('out-of-range') or, with
+// voting.outOfRangeAction 'down-weight', counted with voting.outOfRangeWeight
+// times their weight. Votes for which either location is unknown are counted.
+
+const policy = require('./policy');
+const trust = require('./trust');
+const locations = require('./locations');
+const geo = require('./geo');
+
+function round(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Weigh `entries` (vote entries with { neighborId?, vote, timestamp }) about
+ * the vehicle `target` ({ vin, vehicle }; no proximity check without it) and
+ * return
+ * {
+ *   ones, zeros,                 // the counted entries, each with .weight
+ *   raw: { ones, zeros },        // plain counts of each voter's latest entry
+ *   weighted: { ones, zeros },   // sums of weights of counted entries
+ *   ignored: [{ neighborId, reason, trust?, distanceMeters? }],
+ *   outOfRange,                  // votes beyond radio range (ignored or down-weighted)
+ *   majority: 1 | 0 | null,      // weighted majority, null on a tie
+ *   minVoterTrust, radioRangeMeters, policyVersion
+ * }
+ */
+async function tally(ctx, helpers, entries, target) {
+    const current = await policy.load(ctx);
+    const rules = current.voting;
+    const minTrust = rules.minVoterTrust;
+    const voterTrust = new Map();
+    const voterRecords = new Map();
+    const checkRange = !!(target && target.vin) && rules.radioRangeMeters > 0;
+    const maxAgeMs = rules.locationMaxAgeSeconds * 1000;
+    const traces = new Map();
+    const traceOf = async (vin, vehicle) => {
+        if (!traces.has(vin)) {
+            traces.set(vin, await locations.getLocations(ctx, vin, vehicle));
+        }
+        return traces.get(vin);
+    };
+
+    const result = {
+        ones: [],
+        zeros: [],
+        raw: { ones: 0, zeros: 0 },
+        weighted: { ones: 0, zeros: 0 },
+        ignored: [],
+        majority: null,
+        outOfRange: 0,
+        minVoterTrust: minTrust,
+        radioRangeMeters: checkRange ? rules.radioRangeMeters : null,
+        policyVersion: current.version,
+    };
+
+    // Each voter's latest entry by timestamp (the later one on a tie);
+    // entries without a voter all count
+    const voterOf = (e) =>
+        e && e.neighborId !== undefined && e.neighborId !== null
+            ? String(e.neighborId)
+            : '';
+    const latest = new Map();
+    for (const e of entries) {
+        const id = voterOf(e);
+        if (!id) continue;
+        const prev = latest.get(id);
+        if (!prev || !(Date.parse(prev.timestamp) > Date.parse(e.timestamp))) {
+            latest.set(id, e);
+        }
+    }
+    const counting = [];
+    for (const e of entries) {
+        const id = voterOf(e);
+        if (!id || latest.get(id) === e) counting.push(e);
+        else result.ignored.push({ neighborId: id, reason: 'superseded' });
+    }
+
+    for (let entry of counting) {
+        const isOne = Number(entry && entry.vote) === 1;
+        if (isOne) result.raw.ones += 1;
+        else result.raw.zeros += 1;
+
+        let weight = 1;
+        const voter = entry && entry.neighborId;
+        if (voter !== undefined && voter !== null && voter !== '') {
+            const id = String(voter);
+            if (!voterTrust.has(id)) {
+                const data = await ctx.stub.getState(helpers.keyForVehicle(id));
+                const record =
+                    data && data.length ? JSON.parse(data.toString()) : null;
+                voterRecords.set(id, record);
+                voterTrust.set(
+                    id,
+                    record ? trust.aggregate(record, current.trust) : null
+                );
+            }
+            const score = voterTrust.get(id);
+            if (score === null) {
+                result.ignored.push({
+                    neighborId: id,
+                    reason: 'unknown-voter',
+                });
+                continue;
+            }
+            if (score < minTrust) {
+                result.ignored.push({
+                    neighborId: id,
+                    reason: 'low-trust',
+                    trust: score,
+                });
+                continue;
+            }
+            weight = score / 100;
+
+            const at = Date.parse(entry.timestamp);
+            if (checkRange && Number.isFinite(at)) {
+                const voterLoc = locations.locationNear(
+                    await traceOf(id, voterRecords.get(id)),
+                    at,
+                    maxAgeMs
+                );
+                const targetLoc = locations.locationNear(
+                    await traceOf(String(target.vin), target.vehicle),
+                    at,
+                    maxAgeMs
+                );
+                const distance =
+                    voterLoc && targetLoc
+                        ? geo.haversineMeters(voterLoc, targetLoc)
+                        : null;
+                if (distance !== null && distance > rules.radioRangeMeters) {
+                    result.outOfRange += 1;
+                    const distanceMeters = Math.round(distance);
+                    if (rules.outOfRangeAction !== 'down-weight') {
+                        result.ignored.push({
+                            neighborId: id,
+                            reason: 'out-of-range',
+                            distanceMeters,
+                        });
+                        continue;
+                    }
+                    weight *= rules.outOfRangeWeight;
+                    entry = { ...entry, outOfRange: true, distanceMeters };
+                }
+            }
+        }
+
+        const counted = { ...entry, weight };
+        if (isOne) {
+            result.ones.push(counted);
+            result.weighted.ones += weight;
+        } else {
+            result.zeros.push(counted);
+            result.weighted.zeros += weight;
+        }
+    }
+
+    result.weighted.ones = round(result.weighted.ones);
+    result.weighted.zeros = round(result.weighted.zeros);
+    if (result.weighted.ones > result.weighted.zeros) result.majority = 1;
+    else if (result.weighted.zeros > result.weighted.ones) result.majority = 0;
+    return result;
+}
+
+/**
+ * Identity of the vehicle casting a vote, taken from its certificate rather
+ * than from caller-supplied arguments. `neighborId`, if given, must match the
+ * caller's `vin` attribute; a vehicle may not vote about itself.
+ * Returns { vin, mspId, txId }.
+ */
+function bindVoter(ctx, vin, neighborId) {
+    const voterVin = ctx.clientIdentity.getAttributeValue('vin');
+    if (!voterVin) {
+        throw new Error("Caller certificate has no 'vin' attribute");
+    }
+    if (
+        neighborId !== undefined &&
+        neighborId !== null &&
+        String(neighborId).trim() !== '' &&
+        String(neighborId) !== String(voterVin)
+    ) {
+        throw new Error(
+            `neighborId ${neighborId} does not match the caller's vin ${voterVin}`
+        );
+    }
+    if (String(voterVin) === String(vin)) {
+        throw new Error('A vehicle cannot vote about itself');
+    }
+    return {
+        vin: String(voterVin),
+        mspId: ctx.clientIdentity.getMSPID(),
+        txId: ctx.stub.getTxID(),
+    };
+}
+
+/**
+ * Throw unless the vote time `timestamp` lies within `windowMs` of the
+ * transaction time. Votes are bucketed by this time (lib/votes.js
+ * replaceVote), so a voter must not place them in past or future windows.
+ */
+function assertVoteTime(ctx, helpers, timestamp, windowMs) {
+    const at = Date.parse(timestamp);
+    if (!Number.isFinite(at)) {
+        throw new Error(`Vote timestamp ${timestamp} is invalid`);
+    }
+    if (Math.abs(at - Date.parse(helpers.txNowIso(ctx))) > windowMs) {
+        throw new Error(
+            `Vote timestamp ${timestamp} lies more than ${
+                windowMs / 60000
+            } minutes from the transaction time`
+        );
+    }
+}
+
+/**
+ * Compact form of a tally for decision responses.
+ */
+function report(t) {
+    return {
+        raw: t.raw,
+        weighted: t.weighted,
+        counted: t.ones.length + t.zeros.length,
+        ignored: t.ignored,
+        outOfRange: t.outOfRange,
+        radioRangeMeters: t.radioRangeMeters,
+        minVoterTrust: t.minVoterTrust,
+    };
+}
+
+module.exports = { tally, report, bindVoter, assertVoteTime };
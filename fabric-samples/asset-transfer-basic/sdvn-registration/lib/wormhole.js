@@ -2,26 +2,168 @@
 
 // Wormhole-related chaincode helpers. These are imported by the main contract
 // and executed within the same transaction context (ctx).
+//
+// Besides 1/0 votes, neighbors can submit ranging evidence: their measured
+// distance to the target (RSSI or time of flight) and their own position,
+// stored under the 'ranging' vote keys (lib/votes.js). crossValidation
+// multilaterates the target's position from three or more ranges
+// (lib/geo.js) and checks the reported location against it, so GPS spoofing
+// is caught without trusting voters' claims about the target's coordinates.
+
+const voteStore = require('./votes');
+const events = require('./events');
+const lifecycle = require('./lifecycle');
+const locations = require('./locations');
+const quarantine = require('./quarantine');
+const policy = require('./policy');
+const trust = require('./trust');
+const recovery = require('./recovery');
+const voting = require('./voting');
+const signatures = require('./signatures');
+const geo = require('./geo');
+const plausibility = require('./plausibility');
+
+const RANGING_METHODS = ['rssi', 'tof', 'other'];
+
+// Position estimate from the counted ranging evidence about a VIN within
+// [windowStart, tsV], compared with `reported`. Ranges are weighed like votes
+// (lib/voting.js): unknown, low-trust and out-of-range voters are dropped.
+// Evidence stored without a voter position uses the voter's stored location
+// at its timestamp, read here and kept in memory only.
+// Returns null without evidence, otherwise { ranges, ignored,
+// residualRmsMeters, distanceMeters, toleranceMeters, match, reason? };
+// match is null when no estimate could be made. The estimate itself is not
+// returned: it may rest on stored locations.
+async function rangingCheck(
+    ctx,
+    helpers,
+    vin,
+    vehicle,
+    reported,
+    windowStart,
+    windowEnd,
+    rules
+) {
+    const evidence = (
+        await voteStore.getVotesInBuckets(
+            ctx,
+            'ranging',
+            vin,
+            windowStart,
+            windowEnd,
+            rules.windowMinutes * 60 * 1000
+        )
+    )
+        .map((v) => v.entry)
+        .filter((e) => {
+            const t = Date.parse(e && e.timestamp);
+            return Number.isFinite(t) && t >= windowStart && t <= windowEnd;
+        });
+    if (!evidence.length) return null;
 
-// Small tolerance for coordinate comparison (~55 meters for latitude)
-const COORD_TOLERANCE_DEG = 0.0005;
+    const tally = await voting.tally(
+        ctx,
+        helpers,
+        evidence.map((e) => ({ ...e, vote: 1 })),
+        { vin, vehicle }
+    );
+    const anchors = [];
+    for (const e of tally.ones.filter((c) => !c.outOfRange)) {
+        const position =
+            e.voterPosition ||
+            (await storedVoterPosition(
+                ctx,
+                helpers,
+                e.neighborId,
+                e.timestamp
+            ));
+        if (!position) continue;
+        anchors.push({
+            neighborId: e.neighborId,
+            latitude: position.latitude,
+            longitude: position.longitude,
+            rangeMeters: e.rangeMeters,
+        });
+    }
+    const result = {
+        ranges: anchors.length,
+        ignored: tally.ignored,
+        residualRmsMeters: null,
+        distanceMeters: null,
+        toleranceMeters: rules.rangingToleranceMeters,
+        match: null,
+    };
+    if (anchors.length < Math.max(3, rules.minRanges)) {
+        return { ...result, reason: 'insufficient-ranges' };
+    }
+    const estimate = geo.multilaterate(anchors);
+    if (!estimate) return { ...result, reason: 'degenerate-geometry' };
+    const distance = geo.haversineMeters(estimate.point, reported);
+    return {
+        ...result,
+        residualRmsMeters: estimate.residualRmsMeters,
+        distanceMeters:
+            distance === null ? null : Math.round(distance * 100) / 100,
+        match: distance !== null && distance <= rules.rangingToleranceMeters,
+    };
+}
 
-function withinTolerance(a, b, tolerance = COORD_TOLERANCE_DEG) {
-    const na = Number(a);
-    const nb = Number(b);
-    if (!Number.isFinite(na) || !Number.isFinite(nb)) return false;
-    return Math.abs(na - nb) <= tolerance;
+// Latest plausible stored location of voterVin at the ISO time `at`, or null.
+// It comes from the private collection: never persist or return it.
+async function storedVoterPosition(ctx, helpers, voterVin, at) {
+    const raw = await ctx.stub.getState(helpers.keyForVehicle(voterVin));
+    const trace = await locations.getLocations(
+        ctx,
+        voterVin,
+        raw && raw.length ? JSON.parse(raw.toString()) : null
+    );
+    const stored = locations.latestLocationAt(
+        trace.filter((l) => l && !l.implausible),
+        Date.parse(at)
+    );
+    return stored
+        ? {
+              longitude: Number(stored.longitude),
+              latitude: Number(stored.latitude),
+          }
+        : null;
+}
+
+// Voter and position of a counted vote, as reported in consensus results
+function votePosition(entry) {
+    const loc = entry.location || {};
+    return {
+        neighborId: entry.neighborId || null,
+        latitude: loc.latitude,
+        longitude: loc.longitude,
+        weight: entry.weight,
+    };
+}
+
+// Voter and distance of a consensus inlier or outlier, without its position
+function voteDistance(p) {
+    return {
+        neighborId: p.neighborId,
+        weight: p.weight,
+        distanceMeters: p.distanceMeters,
+    };
 }
 
 module.exports = {
     /**
      * Store a neighboring node's vote related to a vehicle VIN.
-     * Role: vehicle (any vehicle can cast a vote about a VIN)
-     * Fields appended to vehicle.neighborArray:
-     *  - neighborId
+     * Role: vehicle (any vehicle can cast a vote about another VIN)
+     * Stored under its own wormhole vote key (see lib/votes.js) with fields:
+     *  - neighborId (the caller's certificate `vin`; an explicit neighborId must match it)
+     *  - voterMspId, txId
      *  - vote (1 or 0)
      *  - location: { longitude, latitude }
-     *  - timestamp (ISO string, uses tx timestamp if not provided)
+     *  - timestamp (ISO string, uses tx timestamp if not provided; must lie
+     *    within wormhole.windowMinutes or v3WindowMinutes, whichever is
+     *    longer, of the tx time)
+     *  - signed (when the voter signed the vote, see lib/signatures.js)
+     * One vote per voter, target and window (lib/votes.js replaceVote): a
+     * repeated vote replaces the earlier one. Vehicles cannot vote about themselves.
      */
     async storeNeighborVote(
         ctx,
@@ -36,20 +178,23 @@ module.exports = {
         // RBAC: any 'vehicle' identity may submit a vote for any VIN
         helpers.requireRole(ctx, ['vehicle']);
 
-        if (!vin || !neighborId || vote === undefined || vote === null) {
-            throw new Error('vin, neighborId and vote are required');
+        if (!vin || vote === undefined || vote === null) {
+            throw new Error('vin and vote are required');
         }
         const v = Number(vote) === 1 ? 1 : 0;
 
         const vehKey = helpers.keyForVehicle(vin);
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
-
         const vehicle = JSON.parse(data.toString());
-        if (!Array.isArray(vehicle.neighborArray)) vehicle.neighborArray = [];
+        lifecycle.assertActive(vehicle, vin, 'votes');
+        await lifecycle.assertCallerActive(ctx, helpers, 'votes');
+        const voter = voting.bindVoter(ctx, vin, neighborId);
 
         const entry = {
-            neighborId: String(neighborId),
+            neighborId: voter.vin,
+            voterMspId: voter.mspId,
+            txId: voter.txId,
             vote: v,
             location: {
                 longitude: Number(longitude),
@@ -60,31 +205,205 @@ module.exports = {
                     ? String(timestamp)
                     : helpers.txNowIso(ctx),
         };
+        const signed = await signatures.verify(ctx, helpers, voter.vin, {
+            op: 'storeNeighborVote',
+            vin: String(vin),
+            voter: voter.vin,
+            vote: v,
+            longitude: entry.location.longitude,
+            latitude: entry.location.latitude,
+            timestamp:
+                timestamp && String(timestamp).trim()
+                    ? String(timestamp)
+                    : null,
+        });
+        if (signed) entry.signed = signed;
+
+        // Both crossValidation and crossValidationV3 read wormhole votes, so
+        // the longer of their windows bounds one vote per voter
+        const rules = (await policy.load(ctx)).wormhole;
+        const windowMs =
+            Math.max(rules.windowMinutes, rules.v3WindowMinutes) * 60 * 1000;
+        voting.assertVoteTime(ctx, helpers, entry.timestamp, windowMs);
+        const stored = await voteStore.replaceVote(
+            ctx,
+            'wormhole',
+            vin,
+            voter.vin,
+            entry,
+            windowMs,
+            vehicle
+        );
+        if (stored.legacyChanged) {
+            await ctx.stub.putState(
+                vehKey,
+                Buffer.from(JSON.stringify(vehicle))
+            );
+        }
+        return JSON.stringify({
+            vin,
+            lastVote: entry,
+            voteKey: stored.key,
+            replaced: stored.replaced,
+        });
+    },
 
-        vehicle.neighborArray.push(entry);
+    /**
+     * Store a neighbor's measured distance to a vehicle VIN.
+     * Role: vehicle (the voter is the caller's certificate `vin`; an explicit
+     * neighborId must match it)
+     * Stored under its own ranging vote key (see lib/votes.js) with fields:
+     *  - neighborId, voterMspId, txId
+     *  - rangeMeters (> 0), method ('rssi' | 'tof' | 'other')
+     *  - voterPosition: { longitude, latitude } (the voter's own position),
+     *    or null when omitted: the ranging check then uses the voter's latest
+     *    stored location at the timestamp, which never enters world state
+     *  - timestamp (ISO string, uses tx timestamp if not provided; must lie
+     *    within wormhole.windowMinutes of the tx time)
+     *  - signed (when the voter signed the evidence, see lib/signatures.js)
+     * One measurement per voter, target and wormhole.windowMinutes: a repeated
+     * one replaces the earlier one.
+     */
+    async storeRangingEvidence(
+        ctx,
+        helpers,
+        vin,
+        neighborId,
+        rangeMeters,
+        method,
+        longitude,
+        latitude,
+        timestamp
+    ) {
+        helpers.requireRole(ctx, ['vehicle']);
 
-        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        if (!vin) throw new Error('vin is required');
+        const range = Number(rangeMeters);
+        if (
+            String(rangeMeters ?? '').trim() === '' ||
+            !Number.isFinite(range) ||
+            range <= 0
+        ) {
+            throw new Error('rangeMeters must be a positive number');
+        }
+        const how = String(method || 'other')
+            .trim()
+            .toLowerCase();
+        if (!RANGING_METHODS.includes(how)) {
+            throw new Error(
+                `method must be one of: ${RANGING_METHODS.join(', ')}`
+            );
+        }
+
+        const data = await ctx.stub.getState(helpers.keyForVehicle(vin));
+        if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
+        lifecycle.assertActive(JSON.parse(data.toString()), vin, 'votes');
+        await lifecycle.assertCallerActive(ctx, helpers, 'votes');
+        const voter = voting.bindVoter(ctx, vin, neighborId);
+
+        const ts =
+            timestamp && String(timestamp).trim()
+                ? String(timestamp)
+                : helpers.txNowIso(ctx);
+        const hasPosition =
+            String(longitude ?? '').trim() !== '' &&
+            String(latitude ?? '').trim() !== '';
+        let position = null;
+        if (hasPosition) {
+            position = {
+                longitude: Number(longitude),
+                latitude: Number(latitude),
+            };
+            plausibility.assertCoordinates(
+                position.latitude,
+                position.longitude
+            );
+        } else if (!(await storedVoterPosition(ctx, helpers, voter.vin, ts))) {
+            throw new Error(
+                `No position given or stored for voter ${voter.vin} at ${ts}`
+            );
+        }
+
+        const entry = {
+            neighborId: voter.vin,
+            voterMspId: voter.mspId,
+            txId: voter.txId,
+            rangeMeters: range,
+            method: how,
+            voterPosition: position,
+            timestamp: ts,
+        };
+        const signed = await signatures.verify(ctx, helpers, voter.vin, {
+            op: 'storeRangingEvidence',
+            vin: String(vin),
+            voter: voter.vin,
+            rangeMeters: range,
+            method: how,
+            longitude: hasPosition ? position.longitude : null,
+            latitude: hasPosition ? position.latitude : null,
+            timestamp:
+                timestamp && String(timestamp).trim()
+                    ? String(timestamp)
+                    : null,
+        });
+        if (signed) entry.signed = signed;
+
+        const rules = (await policy.load(ctx)).wormhole;
+        voting.assertVoteTime(
+            ctx,
+            helpers,
+            entry.timestamp,
+            rules.windowMinutes * 60 * 1000
+        );
+        const stored = await voteStore.replaceVote(
+            ctx,
+            'ranging',
+            vin,
+            voter.vin,
+            entry,
+            rules.windowMinutes * 60 * 1000
+        );
         return JSON.stringify({
             vin,
-            lastVote: entry,
-            count: vehicle.neighborArray.length,
+            evidence: entry,
+            voteKey: stored.key,
+            replaced: stored.replaced,
         });
     },
 
     /**
      * Cross-validate a vehicle's own reported location using neighbor votes.
-     * Role: vehicle (and must be the specific vehicle for VIN)
+     * Role: vehicle (and must be the specific vehicle for VIN); refused while
+     * the vehicle is quarantined, suspended or revoked
      * Inputs:
      *  - vin
-     *  - longitudeV, latitudeV
-     *  - timestampV
+     *  - longitudeV, latitudeV (optional: when omitted, the vehicle's latest
+     *    private location at or before timestampV is used)
+     *  - timestampV (time of the reported position, defaults to the tx time;
+     *    must lie within the window below, up to
+     *    plausibility.maxClockSkewSeconds ahead of the tx time)
      * Logic:
-     *  - Consider neighbor votes from the most recent 10 minutes up to timestampV
-     *  - If majority of votes are 1: compare one of the voted locations with (longitudeV, latitudeV)
-     *      - If roughly matching (within tolerance): no trust change
-     *      - Else: reduce trustedScoreWromehole by 1
-     *  - If majority of votes are 0: reduce trustedScoreWromehole by 2
+     *  - Consider neighbor votes from the most recent policy window
+     *    (wormhole.windowMinutes, default 10) up to the transaction time
+     *  - If majority of votes are 1: build a consensus position from the
+     *    locations of all counted "1" votes (lib/geo.js consensusPoint:
+     *    outliers beyond wormhole.outlierMinMeters / outlierMadFactor from the
+     *    median are dropped, the rest averaged by voter weight) and compare it
+     *    with (longitudeV, latitudeV) by haversine distance
+     *      - Within wormhole.matchToleranceMeters: no trust change
+     *      - Else: reduce trustedScoreWromehole by wormhole.mismatchPenalty (default 1)
+     *      - Without any valid voted location: no change ('no-consensus')
+     *  - If majority of votes are 0: reduce trustedScoreWromehole by
+     *    wormhole.majority0Penalty (default 2)
      *  - If no votes or no majority: no change
+     *  - Independently, with at least wormhole.minRanges ranging measurements
+     *    in the window: multilaterate the position and, if the reported one
+     *    is farther than wormhole.rangingToleranceMeters from it, reduce
+     *    trustedScoreWromehole by wormhole.rangingMismatchPenalty as well
+     *    (decision 'penalized-ranging-mismatch', or '<vote decision>+ranging-mismatch')
+     * The response reports distances and decisions but no coordinates: the
+     * reported position may come from the private collection, and so may the
+     * ranging anchors.
      */
     async crossValidation(
         ctx,
@@ -104,29 +423,86 @@ module.exports = {
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
         const vehicle = JSON.parse(data.toString());
+        await lifecycle.assertCallerActive(ctx, helpers, 'cross-validation');
 
-        const reported = {
-            longitude: Number(longitudeV),
-            latitude: Number(latitudeV),
-        };
+        const nowIso = helpers.txNowIso(ctx);
         const tsStr =
             timestampV && String(timestampV).trim()
                 ? String(timestampV)
-                : helpers.txNowIso(ctx);
+                : nowIso;
         const tsV = Date.parse(tsStr);
         if (!Number.isFinite(tsV)) throw new Error('timestampV is invalid');
+        const current = await policy.load(ctx);
+        const { wormhole: rules, version: policyVersion } = current;
+        // The window ends at the tx time, not at the caller's timestampV
+        const nowMs = Date.parse(nowIso);
+        const windowStart = nowMs - rules.windowMinutes * 60 * 1000;
+        if (
+            tsV < windowStart ||
+            tsV - nowMs > current.plausibility.maxClockSkewSeconds * 1000
+        ) {
+            throw new Error(
+                `timestampV ${tsStr} lies outside the ${rules.windowMinutes} minute window ending at the transaction time`
+            );
+        }
 
-        const windowStart = tsV - 10 * 60 * 1000; // 10 minutes in ms
+        let reported = {
+            longitude: Number(longitudeV),
+            latitude: Number(latitudeV),
+        };
+        const hasReported =
+            String(longitudeV ?? '').trim() !== '' &&
+            String(latitudeV ?? '').trim() !== '';
+        await signatures.verify(
+            ctx,
+            helpers,
+            vin,
+            {
+                op: 'crossValidation',
+                vin: String(vin),
+                longitude: hasReported ? reported.longitude : null,
+                latitude: hasReported ? reported.latitude : null,
+                timestamp:
+                    timestampV && String(timestampV).trim()
+                        ? String(timestampV)
+                        : null,
+            },
+            vehicle
+        );
+        if (!hasReported) {
+            const trace = await locations.getLocations(ctx, vin, vehicle);
+            const stored = locations.latestLocationAt(trace, tsV);
+            if (!stored) {
+                throw new Error(
+                    `No reported or stored location for ${vin} at ${tsStr}`
+                );
+            }
+            reported = {
+                longitude: Number(stored.longitude),
+                latitude: Number(stored.latitude),
+            };
+        }
 
-        const votes = Array.isArray(vehicle.neighborArray)
-            ? vehicle.neighborArray
-            : [];
+        const votes = (
+            await voteStore.getVotes(ctx, 'wormhole', vin, vehicle)
+        ).map((v) => v.entry);
         const windowVotes = votes.filter((e) => {
             const t = Date.parse(e && e.timestamp);
-            return Number.isFinite(t) && t >= windowStart && t <= tsV;
+            return Number.isFinite(t) && t >= windowStart && t <= nowMs;
         });
 
-        if (windowVotes.length === 0) {
+        const ranging = await rangingCheck(
+            ctx,
+            helpers,
+            vin,
+            vehicle,
+            reported,
+            windowStart,
+            nowMs,
+            rules
+        );
+
+        if (windowVotes.length === 0 && !ranging) {
             return JSON.stringify({
                 vin,
                 decision: 'no-votes',
@@ -134,42 +510,100 @@ module.exports = {
                 after: vehicle.trustedScoreWromehole,
                 delta: 0,
                 considered: 0,
+                policyVersion,
+                trust: await trust.summarize(ctx, vehicle),
             });
         }
 
-        const ones = windowVotes.filter((e) => Number(e.vote) === 1);
-        const zeros = windowVotes.filter((e) => Number(e.vote) !== 1);
+        // Reputation-weighted majority (lib/voting.js)
+        const tally = await voting.tally(ctx, helpers, windowVotes, {
+            vin,
+            vehicle,
+        });
 
         let decision = 'no-change';
         let delta = 0;
+        let consensus = null;
 
-        if (ones.length > zeros.length) {
-            // Majority 1: choose one location to compare
-            const loc = (ones[0] && ones[0].location) || {};
-            const match =
-                withinTolerance(loc.longitude, reported.longitude) &&
-                withinTolerance(loc.latitude, reported.latitude);
-            if (!match) {
-                decision = 'penalized-mismatch';
-                delta = -1;
+        if (windowVotes.length === 0) {
+            decision = 'no-votes';
+        } else if (tally.majority === 1) {
+            // Majority 1: compare with the consensus of all "1" voters
+            const result = geo.consensusPoint(
+                tally.ones.map(votePosition),
+                rules
+            );
+            if (!result) {
+                decision = 'no-consensus';
+            } else {
+                const distanceMeters = geo.haversineMeters(
+                    result.point,
+                    reported
+                );
+                consensus = {
+                    distanceMeters:
+                        distanceMeters === null
+                            ? null
+                            : Math.round(distanceMeters * 100) / 100,
+                    toleranceMeters: rules.matchToleranceMeters,
+                    spreadMeters: result.spreadMeters,
+                    medianDeviationMeters: result.medianDeviationMeters,
+                    inliers: result.inliers.map(voteDistance),
+                    outliers: result.outliers.map(voteDistance),
+                };
+                if (
+                    distanceMeters === null ||
+                    distanceMeters > rules.matchToleranceMeters
+                ) {
+                    decision = 'penalized-mismatch';
+                    delta = -rules.mismatchPenalty;
+                }
             }
-        } else if (zeros.length > ones.length) {
+        } else if (tally.majority === 0) {
             decision = 'penalized-majority0';
-            delta = -2;
+            delta = -rules.majority0Penalty;
         } else {
-            // tie -> no change
+            // tie (or every voter ignored) -> no change
             decision = 'no-majority';
             delta = 0;
         }
 
+        if (ranging && ranging.match === false) {
+            decision =
+                delta < 0
+                    ? `${decision}+ranging-mismatch`
+                    : 'penalized-ranging-mismatch';
+            delta -= rules.rangingMismatchPenalty;
+        }
+
         const before = Number(vehicle.trustedScoreWromehole);
         const after = Math.max(0, before + delta);
+        let quarantined = false;
         if (delta !== 0) {
             vehicle.trustedScoreWromehole = after;
+            recovery.notePenalty(ctx, helpers, vehicle, 'wormhole');
+            await trust.refresh(ctx, vehicle);
+            quarantined = await quarantine.applyThreshold(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                { detector: 'wormhole', decision, before, after, policyVersion }
+            );
             await ctx.stub.putState(
                 vehKey,
                 Buffer.from(JSON.stringify(vehicle))
             );
+            events.trustScoreChanged(
+                ctx,
+                helpers,
+                vin,
+                'wormhole',
+                before,
+                after,
+                decision,
+                policyVersion
+            );
         }
 
         return JSON.stringify({
@@ -179,6 +613,12 @@ module.exports = {
             after,
             delta,
             considered: windowVotes.length,
+            tally: voting.report(tally),
+            consensus,
+            ranging,
+            quarantined,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 
@@ -186,7 +626,7 @@ module.exports = {
     /**
      * Store a simplified neighboring node vote (v3.0).
      * Role: controller only
-     * Fields appended to vehicle.neighborArray:
+     * Stored under its own wormhole vote key, keyed by txId, with fields:
      *  - vote (1 or 0)
      *  - timestamp (ISO string, uses tx timestamp if not provided)
      */
@@ -202,9 +642,8 @@ module.exports = {
         const vehKey = helpers.keyForVehicle(vin);
         const data = await ctx.stub.getState(vehKey);
         if (!data || !data.length) throw new Error(`Vehicle ${vin} not found`);
-
-        const vehicle = JSON.parse(data.toString());
-        if (!Array.isArray(vehicle.neighborArray)) vehicle.neighborArray = [];
+        lifecycle.assertActive(JSON.parse(data.toString()), vin, 'votes');
+        await lifecycle.assertCallerActive(ctx, helpers, 'votes');
 
         const entry = {
             vote: v,
@@ -214,25 +653,26 @@ module.exports = {
                     : helpers.txNowIso(ctx),
         };
 
-        vehicle.neighborArray.push(entry);
-
-        await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
-        return JSON.stringify({
+        const voteKey = await voteStore.putVote(
+            ctx,
+            'wormhole',
             vin,
-            lastVote: entry,
-            count: vehicle.neighborArray.length,
-        });
+            ctx.stub.getTxID(),
+            entry
+        );
+        return JSON.stringify({ vin, lastVote: entry, voteKey });
     },
 
     /**
      * Cross-validate using simplified neighbor votes (v3.0).
      * Role: controller only
      * Logic:
-     *  - Consider votes from last 10 minutes
+     *  - Consider votes from the last wormhole.v3WindowMinutes (default 60)
      *  - If majority = 1: no change
-     *  - If majority = 0: reduce trustedScoreWromehole by 1
-     *  - Update overallTrustScore (average of all 5 trust scores)
-     *  - Purge votes older than 1 day (24 hours)
+     *  - If majority = 0: reduce trustedScoreWromehole by
+     *    wormhole.v3Majority0Penalty (default 1)
+     *  - Update overallTrustScore (aggregate of the per-attack scores (lib/trust.js))
+     *  - Purge votes older than wormhole.voteRetentionHours (default 24)
      */
     async crossValidationV3(ctx, helpers, vin) {
         // RBAC: controller only
@@ -249,14 +689,17 @@ module.exports = {
         const tsNow = Date.parse(now);
         if (!Number.isFinite(tsNow)) throw new Error('Invalid tx timestamp');
 
-        const windowStart = tsNow - 60 * 60 * 1000; // 60 minutes
-        const oneDayAgo = tsNow - 24 * 60 * 60 * 1000; // 1 day
+        const { wormhole: rules, version: policyVersion } = await policy.load(
+            ctx
+        );
+        const windowStart = tsNow - rules.v3WindowMinutes * 60 * 1000;
+        const retentionStart =
+            tsNow - rules.voteRetentionHours * 60 * 60 * 1000;
 
-        const votes = Array.isArray(vehicle.neighborArray)
-            ? vehicle.neighborArray
-            : [];
+        const stored = await voteStore.getVotes(ctx, 'wormhole', vin, vehicle);
+        const votes = stored.map((v) => v.entry);
 
-        // Filter votes in 10-min window for evaluation
+        // Filter votes in the policy window for evaluation
         const windowVotes = votes.filter((e) => {
             const t = Date.parse(e && e.timestamp);
             return Number.isFinite(t) && t >= windowStart && t <= tsNow;
@@ -264,16 +707,18 @@ module.exports = {
 
         let decision = 'no-change';
         let delta = 0;
+        // Reputation-weighted majority (lib/voting.js)
+        const tally = await voting.tally(ctx, helpers, windowVotes, {
+            vin,
+            vehicle,
+        });
 
         if (windowVotes.length > 0) {
-            const ones = windowVotes.filter((e) => Number(e.vote) === 1);
-            const zeros = windowVotes.filter((e) => Number(e.vote) !== 1);
-
-            if (zeros.length > ones.length) {
+            if (tally.majority === 0) {
                 // Majority 0: penalize
                 decision = 'penalized-majority0';
-                delta = -1;
-            } else if (ones.length > zeros.length) {
+                delta = -rules.v3Majority0Penalty;
+            } else if (tally.majority === 1) {
                 // Majority 1: no change
                 decision = 'no-penalty-majority1';
                 delta = 0;
@@ -288,33 +733,53 @@ module.exports = {
 
         const before = Number(vehicle.trustedScoreWromehole);
         const after = Math.max(0, before + delta);
+        let rewards = [];
         if (delta !== 0) {
             vehicle.trustedScoreWromehole = after;
+            recovery.notePenalty(ctx, helpers, vehicle, 'wormhole');
+        } else {
+            // No penalty: apply recovery earned by now (lib/recovery.js)
+            rewards = await recovery.applyRewards(
+                ctx,
+                helpers,
+                vin,
+                vehicle,
+                'wormhole',
+                { positiveMajority: decision === 'no-penalty-majority1' }
+            );
         }
 
-        // Update overallTrustScore: average of all 5 trust scores
-        const scores = [
-            Number(vehicle.trustedScoreSybil),
-            Number(vehicle.trustedScoreWromehole),
-            Number(vehicle.trustScoreBlackhole),
-            Number(vehicle.trustScorePoison),
-            Number(vehicle.trustScoreReplay),
-        ];
-        const valid = scores.filter((n) => Number.isFinite(n));
-        const overall = valid.length
-            ? valid.reduce((a, b) => a + b, 0) / valid.length
-            : 0;
-        vehicle.overallTrustScore = Math.round(overall);
-
-        // Purge votes older than 1 day
-        const purged = votes.filter((e) => {
-            const t = Date.parse(e && e.timestamp);
-            return Number.isFinite(t) && t > oneDayAgo;
+        // Update overallTrustScore: aggregate of the per-attack scores (lib/trust.js)
+        await trust.refresh(ctx, vehicle);
+        const quarantined =
+            delta < 0 &&
+            (await quarantine.applyThreshold(ctx, helpers, vin, vehicle, {
+                detector: 'wormhole',
+                decision,
+                before,
+                after,
+                policyVersion,
+            }));
+
+        // Purge votes older than the retention period
+        const stale = stored.filter((v) => {
+            const t = Date.parse(v.entry && v.entry.timestamp);
+            return !(Number.isFinite(t) && t > retentionStart);
         });
-        const purgeCount = votes.length - purged.length;
-        vehicle.neighborArray = purged;
+        const purgeCount = stale.length;
+        await voteStore.deleteVotes(ctx, 'wormhole', stale, vehicle);
 
         await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        events.trustScoreChanged(
+            ctx,
+            helpers,
+            vin,
+            'wormhole',
+            before,
+            after,
+            decision,
+            policyVersion
+        );
 
         return JSON.stringify({
             vin,
@@ -323,8 +788,13 @@ module.exports = {
             after: vehicle.trustedScoreWromehole,
             delta,
             considered: windowVotes.length,
+            tally: voting.report(tally),
             overallTrustScore: vehicle.overallTrustScore,
             purgedVotes: purgeCount,
+            quarantined,
+            rewards,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 
@@ -350,25 +820,39 @@ module.exports = {
         const actualDelta =
             Number.isFinite(reduction) && reduction > 0 ? reduction : 1;
 
+        const { version: policyVersion } = await policy.load(ctx);
         const before = Number(vehicle.trustedScoreWromehole);
         const after = Math.max(0, before - actualDelta);
         vehicle.trustedScoreWromehole = after;
+        recovery.notePenalty(ctx, helpers, vehicle, 'wormhole');
 
-        // Update overallTrustScore: average of all 5 trust scores
-        const scores = [
-            Number(vehicle.trustedScoreSybil),
-            Number(vehicle.trustedScoreWromehole),
-            Number(vehicle.trustScoreBlackhole),
-            Number(vehicle.trustScorePoison),
-            Number(vehicle.trustScoreReplay),
-        ];
-        const valid = scores.filter((n) => Number.isFinite(n));
-        const overall = valid.length
-            ? valid.reduce((a, b) => a + b, 0) / valid.length
-            : 0;
-        vehicle.overallTrustScore = Math.round(overall);
+        // Update overallTrustScore: aggregate of the per-attack scores (lib/trust.js)
+        await trust.refresh(ctx, vehicle);
+        const quarantined = await quarantine.applyThreshold(
+            ctx,
+            helpers,
+            vin,
+            vehicle,
+            {
+                detector: 'wormhole',
+                decision: 'manual-reduction',
+                before,
+                after,
+                policyVersion,
+            }
+        );
 
         await ctx.stub.putState(vehKey, Buffer.from(JSON.stringify(vehicle)));
+        events.trustScoreChanged(
+            ctx,
+            helpers,
+            vin,
+            'wormhole',
+            before,
+            after,
+            'manual-reduction',
+            policyVersion
+        );
 
         return JSON.stringify({
             vin,
@@ -376,6 +860,9 @@ module.exports = {
             after,
             reduction: actualDelta,
             overallTrustScore: vehicle.overallTrustScore,
+            quarantined,
+            policyVersion,
+            trust: await trust.summarize(ctx, vehicle),
         });
     },
 };
@@ -1,9 +1,11 @@
 "use strict";
 
+const crypto = require("crypto");
 const express = require("express");
 const helper = require("./helper");
 const invoke = require("./invoke");
 const query = require("./query");
+const events = require("./events");
 const cors = require("cors");
 
 const app = express();
@@ -17,6 +19,22 @@ app.listen(5000, function () {
 // Health
 app.get("/status", (req, res) => res.send("Server is up."));
 
+// Submit a transaction, passing the vehicle's signature over its
+// payload (base64, see chaincode lib/signatures.js) as transient data if given.
+function submitSigned(fcn, args, signature, userId, orgID) {
+  if (!signature) {
+    return invoke.invokeTransactionArgs(fcn, args, userId, orgID, "sdvn");
+  }
+  return invoke.invokeTransactionTransient(
+    fcn,
+    args,
+    { signature: { signature: String(signature) } },
+    userId,
+    orgID,
+    "sdvn"
+  );
+}
+
 // Enrollment APIs
 app.post("/enrollAdmin", async (req, res, next) => {
   try {
@@ -124,14 +142,54 @@ app.post("/ta/vins/range", async (req, res, next) => {
   }
 });
 
-// Trusted Authority/Controller: list all stored VINs and registration status
-app.get("/ta/vins", async (req, res, next) => {
+// Detection policy (tolerances, windows, penalties); optional query param: version
+app.get("/ta/policy", async (req, res, next) => {
+  try {
+    const { userId, version, orgID = "Org1" } = req.query;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    const result = await query.evaluateTransactionArgs(
+      "getPolicy",
+      [version === undefined ? "" : String(version)],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Trusted Authority: store a new policy version.
+// Body: { userId, policy: { wormhole: { matchToleranceMeters: 100 }, ... } }
+app.post("/ta/policy", async (req, res, next) => {
+  try {
+    const { userId, policy, orgID = "Org1" } = req.body || {};
+    if (!userId || !policy || typeof policy !== "object") {
+      return res.status(400).send("userId and policy object are required");
+    }
+    const result = await invoke.invokeTransactionArgs(
+      "setPolicy",
+      [JSON.stringify(policy)],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Quarantine threshold: vehicles whose overall trust drops below it are quarantined
+app.get("/ta/quarantine-threshold", async (req, res, next) => {
   try {
     const { userId, orgID = "Org1" } = req.query;
     if (!userId)
       return res.status(400).send("userId is required as query param");
     const result = await query.evaluateTransactionArgs(
-      "listVINStatuses",
+      "getQuarantineThreshold",
       [],
       userId,
       orgID,
@@ -143,6 +201,147 @@ app.get("/ta/vins", async (req, res, next) => {
   }
 });
 
+// Trusted Authority: set the quarantine threshold (0-100, 0 disables)
+app.post("/ta/quarantine-threshold", async (req, res, next) => {
+  try {
+    const { userId, threshold, orgID = "Org1" } = req.body || {};
+    if (!userId || threshold === undefined) {
+      return res.status(400).send("userId and threshold are required");
+    }
+    const result = await invoke.invokeTransactionArgs(
+      "setQuarantineThreshold",
+      [String(threshold)],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Trusted Authority/Controller: list stored VINs and registration status, one page at a time
+// Optional query params: pageSize, bookmark (from the previous page), registered=true|false
+app.get("/ta/vins", async (req, res, next) => {
+  try {
+    const {
+      userId,
+      pageSize,
+      bookmark,
+      registered,
+      orgID = "Org1",
+    } = req.query;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    if (registered !== undefined && !["true", "false"].includes(registered)) {
+      return res.status(400).send("registered must be true or false");
+    }
+    const result = await query.evaluateTransactionArgs(
+      "listVINStatusesPaginated",
+      [String(pageSize ?? ""), bookmark || "", registered || ""],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Controller/Trusted Authority: rich query over vehicles (CouchDB state database)
+// Filters: minTrust/maxTrust on overallTrustScore, status, createdFrom/createdTo
+app.get("/vehicles", async (req, res, next) => {
+  try {
+    const {
+      userId,
+      minTrust,
+      maxTrust,
+      status,
+      createdFrom,
+      createdTo,
+      pageSize,
+      bookmark,
+      orgID = "Org1",
+    } = req.query;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    const selector = {};
+    if (minTrust !== undefined || maxTrust !== undefined) {
+      const range = {};
+      if (minTrust !== undefined) range.$gte = Number(minTrust);
+      if (maxTrust !== undefined) range.$lte = Number(maxTrust);
+      if (Object.values(range).some((n) => !Number.isFinite(n))) {
+        return res.status(400).send("minTrust and maxTrust must be numbers");
+      }
+      selector.overallTrustScore = range;
+    }
+    if (status) selector.registrationStatus = String(status);
+    if (createdFrom || createdTo) {
+      selector.createdAt = {};
+      if (createdFrom) selector.createdAt.$gte = String(createdFrom);
+      if (createdTo) selector.createdAt.$lte = String(createdTo);
+    }
+    const result = await query.evaluateTransactionArgs(
+      "queryVehicles",
+      [JSON.stringify(selector), String(pageSize ?? ""), bookmark || ""],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Controller/Trusted Authority: add docType and overallTrustScore to vehicles
+// registered before they existed, so GET /vehicles finds them, and index their
+// public keys for the Sybil check. Processes one page per call; repeat with
+// the returned bookmark until it is empty.
+app.post("/vehicles/backfill", async (req, res, next) => {
+  try {
+    const { userId, pageSize, bookmark, orgID = "Org1" } = req.body || {};
+    if (!userId) return res.status(400).send("userId is required");
+    const result = await invoke.invokeTransactionArgs(
+      "backfillVehicleDocs",
+      [String(pageSize ?? ""), bookmark || ""],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Any role: resolve a signing key to its vehicle (VIN, status, trust score).
+// publicKey is a URL-encoded PEM/DER key or its SHA-256 fingerprint (hex).
+// Declared before /vehicles/:vin so the path is not taken for a VIN.
+app.get("/vehicles/by-public-key", async (req, res, next) => {
+  try {
+    const { userId, publicKey, fingerprint, orgID = "Org1" } = req.query;
+    if (!userId || !(publicKey || fingerprint))
+      return res
+        .status(400)
+        .send(
+          "userId and publicKey (or fingerprint) are required as query params"
+        );
+    const result = await query.evaluateTransactionArgs(
+      "getVehicleByPublicKey",
+      [String(publicKey || fingerprint)],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 app.get("/vehicles/:vin", async (req, res, next) => {
   try {
     const { userId, orgID = "Org1" } = req.query;
@@ -162,9 +361,170 @@ app.get("/vehicles/:vin", async (req, res, next) => {
   }
 });
 
+// Vehicle (own VIN) or controller: rotate a vehicle's public key.
+// `proof` is the base64 signature by the current key over the canonical JSON
+// { op: "rotateVehicleKey", vin, newKeyFingerprint, timestamp }; a controller
+// may instead override with a `reason`.
+app.post("/vehicles/:vin/key/rotate", async (req, res, next) => {
+  try {
+    const { vin } = req.params;
+    const {
+      userId,
+      newPublicKey,
+      proof,
+      timestamp,
+      reason,
+      orgID = "Org1",
+    } = req.body || {};
+    if (!userId || !newPublicKey) {
+      return res.status(400).send("userId and newPublicKey are required");
+    }
+    if (!proof && !reason) {
+      return res
+        .status(400)
+        .send("proof (signed by the current key) or reason is required");
+    }
+    const result = await submitSigned(
+      "rotateVehicleKey",
+      [vin, String(newPublicKey), reason || "", timestamp || ""],
+      proof,
+      userId,
+      orgID
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Current public key of a vehicle and its dated key history
+app.get("/vehicles/:vin/keys", async (req, res, next) => {
+  try {
+    const { userId, orgID = "Org1" } = req.query;
+    const { vin } = req.params;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    const result = await query.evaluateTransactionArgs(
+      "getVehicleKeyHistory",
+      [vin],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Trust history timeline for a vehicle (optional from/to: ISO or epoch ms)
+app.get("/vehicles/:vin/history", async (req, res, next) => {
+  try {
+    const { userId, from, to, orgID = "Org1" } = req.query;
+    const { vin } = req.params;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    const result = await query.evaluateTransactionArgs(
+      "getVehicleHistory",
+      [vin, from || "", to || ""],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Point-in-time vehicle state (timestamp: ISO or epoch ms)
+app.get("/vehicles/:vin/at", async (req, res, next) => {
+  try {
+    const { userId, timestamp, orgID = "Org1" } = req.query;
+    const { vin } = req.params;
+    if (!userId || !timestamp)
+      return res
+        .status(400)
+        .send("userId and timestamp are required as query params");
+    const result = await query.evaluateTransactionArgs(
+      "getVehicleAt",
+      [vin, String(timestamp)],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Lifecycle status and transition log of a vehicle
+app.get("/vehicles/:vin/status", async (req, res, next) => {
+  try {
+    const { userId, orgID = "Org1" } = req.query;
+    const { vin } = req.params;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    const result = await query.evaluateTransactionArgs(
+      "getVehicleStatus",
+      [vin],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Lifecycle transitions: suspend | revoke | reinstate | deregister | release (reason required)
+// "release" lifts an automatic trust quarantine after controller/TA review
+const lifecycleTransactions = {
+  suspend: "suspendVehicle",
+  revoke: "revokeVehicle",
+  reinstate: "reinstateVehicle",
+  deregister: "deregisterVehicle",
+  release: "releaseQuarantine",
+};
+app.post("/vehicles/:vin/status/:action", async (req, res, next) => {
+  try {
+    const { vin, action } = req.params;
+    const { userId, reason, orgID = "Org1" } = req.body || {};
+    const fcn = lifecycleTransactions[action];
+    if (!fcn) {
+      return res
+        .status(404)
+        .send(
+          "action must be suspend, revoke, reinstate, deregister or release"
+        );
+    }
+    if (!userId || !reason) {
+      return res.status(400).send("userId and reason are required");
+    }
+    const result = await invoke.invokeTransactionArgs(
+      fcn,
+      [vin, String(reason)],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // (removed) trust-score update endpoint; not part of the new spec
 
-// Controller/Vehicle: store location (keeps last 20)
+// Controller/Vehicle: store location in the private locations collection, which
+// keeps the policy's locations.maxEntries most recent entries (default 20).
+// Coordinates travel as transient data, so only a hash/summary is public.
+// A random salt is generated per entry unless `salt` is given; it is stored
+// privately and hashed with the coordinates.
+// `signature` (base64) is the vehicle's signature over the location payload.
+// Physically implausible jumps are flagged and cost wormhole trust.
 app.post("/vehicles/:vin/locations", async (req, res, next) => {
   try {
     const { vin } = req.params;
@@ -173,14 +533,45 @@ app.post("/vehicles/:vin/locations", async (req, res, next) => {
       latitude,
       longitude,
       timestamp,
+      salt,
+      signature,
       orgID = "Org1",
     } = req.body || {};
     if (!userId || latitude === undefined || longitude === undefined) {
       return res.status(400).send("userId, latitude, longitude are required");
     }
-    const result = await invoke.invokeTransactionArgs(
+    const result = await invoke.invokeTransactionTransient(
       "storeLocation",
-      [vin, String(latitude), String(longitude), timestamp || ""],
+      [vin],
+      {
+        location: {
+          latitude,
+          longitude,
+          timestamp: timestamp || "",
+          salt: salt || crypto.randomBytes(16).toString("hex"),
+        },
+        ...(signature ? { signature: { signature } } : {}),
+      },
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Controller/Trusted Authority: read the private location trace of a vehicle
+app.get("/vehicles/:vin/locations", async (req, res, next) => {
+  try {
+    const { userId, orgID = "Org1" } = req.query;
+    const { vin } = req.params;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    const result = await query.evaluateTransactionArgs(
+      "getVehicleLocations",
+      [vin],
       userId,
       orgID,
       "sdvn"
@@ -193,7 +584,8 @@ app.post("/vehicles/:vin/locations", async (req, res, next) => {
 
 // (removed) list vehicles endpoint; not required by the new spec
 
-// Wormhole: store neighboring node vote for a vehicle
+// Wormhole: store neighboring node vote for a vehicle.
+// The voter is the calling vehicle (its certificate vin); neighborId is optional and must match it
 app.post("/vehicles/:vin/votes", async (req, res, next) => {
   try {
     const { vin } = req.params;
@@ -204,26 +596,112 @@ app.post("/vehicles/:vin/votes", async (req, res, next) => {
       longitude,
       latitude,
       timestamp,
+      signature,
       orgID = "Org1",
     } = req.body || {};
-    if (!userId || !neighborId || vote === undefined || vote === null) {
-      return res
-        .status(400)
-        .send("userId, neighborId and vote (1 or 0) are required");
+    if (!userId || vote === undefined || vote === null) {
+      return res.status(400).send("userId and vote (1 or 0) are required");
     }
-    const result = await invoke.invokeTransactionArgs(
+    const result = await submitSigned(
       "storeNeighborVote",
       [
         vin,
-        String(neighborId),
+        neighborId ? String(neighborId) : "",
         String(vote),
         String(longitude),
         String(latitude),
         timestamp || "",
       ],
+      signature,
       userId,
-      orgID,
-      "sdvn"
+      orgID
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Wormhole: submit a measured distance to a VIN (RSSI or time of flight) with
+// the voter's own position (omit it to use the voter's stored location)
+app.post("/vehicles/:vin/ranging", async (req, res, next) => {
+  try {
+    const { vin } = req.params;
+    const {
+      userId,
+      neighborId,
+      rangeMeters,
+      method,
+      longitude,
+      latitude,
+      timestamp,
+      signature,
+      orgID = "Org1",
+    } = req.body || {};
+    if (!userId || rangeMeters === undefined || rangeMeters === null) {
+      return res.status(400).send("userId and rangeMeters are required");
+    }
+    const result = await submitSigned(
+      "storeRangingEvidence",
+      [
+        vin,
+        neighborId ? String(neighborId) : "",
+        String(rangeMeters),
+        method || "",
+        longitude === undefined || longitude === null ? "" : String(longitude),
+        latitude === undefined || latitude === null ? "" : String(latitude),
+        timestamp || "",
+      ],
+      signature,
+      userId,
+      orgID
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Wormhole: report the timing of a message received from a VIN (packet
+// leash). sendTime/receiveTime are ISO timestamps with up to nanosecond
+// fractions or epoch nanoseconds; the receiver position defaults to the
+// voter's stored location
+app.post("/vehicles/:vin/leash/votes", async (req, res, next) => {
+  try {
+    const { vin } = req.params;
+    const {
+      userId,
+      neighborId,
+      sendTime,
+      receiveTime,
+      senderLongitude,
+      senderLatitude,
+      receiverLongitude,
+      receiverLatitude,
+      signature,
+      orgID = "Org1",
+    } = req.body || {};
+    if (!userId || !sendTime || !receiveTime) {
+      return res
+        .status(400)
+        .send("userId, sendTime and receiveTime are required");
+    }
+    const optional = (v) => (v === undefined || v === null ? "" : String(v));
+    const result = await submitSigned(
+      "storePacketLeashVote",
+      [
+        vin,
+        neighborId ? String(neighborId) : "",
+        String(sendTime),
+        String(receiveTime),
+        optional(senderLongitude),
+        optional(senderLatitude),
+        optional(receiverLongitude),
+        optional(receiverLatitude),
+      ],
+      signature,
+      userId,
+      orgID
     );
     res.status(200).send({ success: true, data: result });
   } catch (err) {
@@ -240,6 +718,7 @@ app.post("/vehicles/:vin/cross-validate", async (req, res, next) => {
       longitudeV,
       latitudeV,
       timestampV,
+      signature,
       orgID = "Org1",
     } = req.body || {};
     if (!userId || longitudeV === undefined || latitudeV === undefined) {
@@ -247,12 +726,12 @@ app.post("/vehicles/:vin/cross-validate", async (req, res, next) => {
         .status(400)
         .send("userId, longitudeV and latitudeV are required");
     }
-    const result = await invoke.invokeTransactionArgs(
+    const result = await submitSigned(
       "crossValidation",
       [vin, String(longitudeV), String(latitudeV), timestampV || ""],
+      signature,
       userId,
-      orgID,
-      "sdvn"
+      orgID
     );
     res.status(200).send({ success: true, data: result });
   } catch (err) {
@@ -367,8 +846,39 @@ app.post("/vehicles/:senderVin/replay/check", async (req, res, next) => {
   }
 });
 
+// Vehicle: check a flowId and record it in one transaction; a replay within
+// the window is penalized on the sender's trustScoreReplay instead. In
+// 'sequence-window' replay mode the flowId is the sender's sequence number.
+// payloadHash (hex SHA-256 of the message) flags re-sent content under a new
+// flowId; timestamp is the original send time
+app.post("/vehicles/:senderVin/replay/flows", async (req, res, next) => {
+  try {
+    const { senderVin } = req.params;
+    const {
+      userId,
+      flowId,
+      timestamp,
+      payloadHash,
+      orgID = "Org1",
+    } = req.body || {};
+    if (!userId || !flowId) {
+      return res.status(400).send("userId and flowId are required");
+    }
+    const result = await invoke.invokeTransactionArgs(
+      "checkAndRecordFlowId",
+      [senderVin, String(flowId), timestamp || "", payloadHash || ""],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---------------- Blackhole APIs ----------------
-// Vehicle: submit a blackhole vote (1/0) about a VIN
+// Vehicle: submit a blackhole vote (1/0) about a VIN (voter = caller's certificate vin)
 app.post("/vehicles/:vin/blackhole/votes", async (req, res, next) => {
   try {
     const { vin } = req.params;
@@ -377,19 +887,23 @@ app.post("/vehicles/:vin/blackhole/votes", async (req, res, next) => {
       neighborId,
       vote,
       timestamp,
+      signature,
       orgID = "Org1",
     } = req.body || {};
-    if (!userId || !neighborId || vote === undefined || vote === null) {
-      return res
-        .status(400)
-        .send("userId, neighborId and vote (1 or 0) are required");
+    if (!userId || vote === undefined || vote === null) {
+      return res.status(400).send("userId and vote (1 or 0) are required");
     }
-    const result = await invoke.invokeTransactionArgs(
+    const result = await submitSigned(
       "storeBlackholeNeighborVote",
-      [vin, String(neighborId), String(vote), timestamp || ""],
+      [
+        vin,
+        neighborId ? String(neighborId) : "",
+        String(vote),
+        timestamp || "",
+      ],
+      signature,
       userId,
-      orgID,
-      "sdvn"
+      orgID
     );
     res.status(200).send({ success: true, data: result });
   } catch (err) {
@@ -460,8 +974,29 @@ app.post("/vehicles/:vin/trust/reset", async (req, res, next) => {
   }
 });
 
+// Controller/TA: apply gradual trust recovery earned through penalty-free periods
+app.post("/vehicles/:vin/trust/recover", async (req, res, next) => {
+  try {
+    const { vin } = req.params;
+    const { userId, orgID = "Org1" } = req.body || {};
+    if (!userId) {
+      return res.status(400).send("userId is required");
+    }
+    const result = await invoke.invokeTransactionArgs(
+      "recoverTrust",
+      [vin],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ---------------- Poison (routing data) APIs ----------------
-// Vehicle: submit a routing-data vote (1/0) about a VIN
+// Vehicle: submit a routing-data vote (1/0) about a VIN (voter = caller's certificate vin)
 app.post("/vehicles/:vin/poison/votes", async (req, res, next) => {
   try {
     const { vin } = req.params;
@@ -471,25 +1006,24 @@ app.post("/vehicles/:vin/poison/votes", async (req, res, next) => {
       vote,
       routingData,
       timestamp,
+      signature,
       orgID = "Org1",
     } = req.body || {};
-    if (!userId || !neighborId || vote === undefined || vote === null) {
-      return res
-        .status(400)
-        .send("userId, neighborId and vote (1 or 0) are required");
+    if (!userId || vote === undefined || vote === null) {
+      return res.status(400).send("userId and vote (1 or 0) are required");
     }
-    const result = await invoke.invokeTransactionArgs(
+    const result = await submitSigned(
       "storePoisonNeighborRoutingVote",
       [
         vin,
-        String(neighborId),
+        neighborId ? String(neighborId) : "",
         String(vote),
         JSON.stringify(routingData || {}),
         timestamp || "",
       ],
+      signature,
       userId,
-      orgID,
-      "sdvn"
+      orgID
     );
     res.status(200).send({ success: true, data: result });
   } catch (err) {
@@ -501,16 +1035,22 @@ app.post("/vehicles/:vin/poison/votes", async (req, res, next) => {
 app.post("/vehicles/:vin/poison/cross-validate", async (req, res, next) => {
   try {
     const { vin } = req.params;
-    const { userId, routingDataV, timestampV, orgID = "Org1" } = req.body || {};
+    const {
+      userId,
+      routingDataV,
+      timestampV,
+      signature,
+      orgID = "Org1",
+    } = req.body || {};
     if (!userId || !routingDataV) {
       return res.status(400).send("userId and routingDataV are required");
     }
-    const result = await invoke.invokeTransactionArgs(
+    const result = await submitSigned(
       "crossValidationPoison",
       [vin, JSON.stringify(routingDataV || {}), timestampV || ""],
+      signature,
       userId,
-      orgID,
-      "sdvn"
+      orgID
     );
     res.status(200).send({ success: true, data: result });
   } catch (err) {
@@ -539,6 +1079,115 @@ app.post("/vehicles/:vin/poison/reduce", async (req, res, next) => {
   }
 });
 
+// Controller: look for Sybil evidence (shared public keys ledger-wide,
+// near-identical trajectories against candidateVins) and penalize new evidence
+app.post("/vehicles/:vin/sybil/evaluate", async (req, res, next) => {
+  try {
+    const { vin } = req.params;
+    const { userId, candidateVins, orgID = "Org1" } = req.body || {};
+    if (!userId) {
+      return res.status(400).send("userId is required");
+    }
+    if (candidateVins !== undefined && !Array.isArray(candidateVins)) {
+      return res.status(400).send("candidateVins must be an array of VINs");
+    }
+    const result = await invoke.invokeTransactionArgs(
+      "evaluateSybil",
+      [vin, JSON.stringify(candidateVins || [])],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Controller: manually reduce trustedScoreSybil by delta (default 1)
+app.post("/vehicles/:vin/sybil/reduce", async (req, res, next) => {
+  try {
+    const { vin } = req.params;
+    const { userId, delta, orgID = "Org1" } = req.body || {};
+    if (!userId) {
+      return res.status(400).send("userId is required");
+    }
+    const result = await invoke.invokeTransactionArgs(
+      "reduceSybilScore",
+      [vin, String(delta ?? "")],
+      userId,
+      orgID,
+      "sdvn"
+    );
+    res.status(200).send({ success: true, data: result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ---------------- Chaincode event stream ----------------
+// Server-Sent Events: stream VehicleRegistered, VINStored, TrustScoreChanged,
+// TrustReset, ReplayDetected and VehicleStatusChanged events, optionally
+// filtered by vin and type.
+// Callers need a wallet identity with role trustedAuthority, controller or
+// vehicle; a vehicle only receives events about its own VIN.
+// The shared contract listener connects as EVENT_LISTENER_USER (or the first caller).
+const EVENT_ROLES = ["trustedAuthority", "controller", "vehicle"];
+app.get("/events", async (req, res, next) => {
+  try {
+    const { userId, type, orgID = "Org1" } = req.query;
+    let { vin } = req.query;
+    if (!userId)
+      return res.status(400).send("userId is required as query param");
+    const attrs = await helper.getIdentityAttributes(userId);
+    if (!attrs) {
+      return res.status(400).send(`Identity ${userId} not found in wallet`);
+    }
+    if (!EVENT_ROLES.includes(attrs.role)) {
+      return res
+        .status(403)
+        .send(`Role ${attrs.role || "(none)"} cannot subscribe to events`);
+    }
+    if (attrs.role === "vehicle") {
+      if (!attrs.vin) {
+        return res.status(403).send("Vehicle identity has no vin attribute");
+      }
+      if (vin && String(vin) !== String(attrs.vin)) {
+        return res
+          .status(403)
+          .send("Vehicles can only subscribe to their own events");
+      }
+      vin = attrs.vin;
+    }
+    await events.startEventListener(
+      process.env.EVENT_LISTENER_USER || userId,
+      orgID
+    );
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    res.write(": connected\n\n");
+    const unsubscribe = events.subscribe({ vin, type }, (event) => {
+      res.write(
+        `id: ${event.txId}\nevent: ${event.type}\ndata: ${JSON.stringify(
+          event
+        )}\n\n`
+      );
+    });
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 25000);
+    req.on("close", () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // Error handler
 app.use((err, req, res, next) => {
   res.status(400).send(err.message);
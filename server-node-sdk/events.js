@@ -0,0 +1,98 @@
+"use strict";
+
+const path = require("path");
+const { EventEmitter } = require("events");
+const { Wallets, Gateway } = require("fabric-network");
+const { getCCP } = require("./helper");
+
+// Chaincode emits one event per transaction: either a single typed event
+// (VehicleRegistered, VINStored, TrustScoreChanged, TrustReset, ReplayDetected,
+// VehicleStatusChanged, PolicyUpdated, TrustRewarded, VehicleKeyRotated,
+// LocationImplausible, LeashViolation) or
+// "SdvnEventBatch" carrying { events: [...] } when a tx raised several.
+const BATCH_EVENT_NAME = "SdvnEventBatch";
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let gateway = null;
+let starting = null;
+
+// Expand a contract event into the typed sdvn events it carries
+function toSdvnEvents(contractEvent) {
+  let payload;
+  try {
+    payload = JSON.parse(contractEvent.payload.toString("utf8"));
+  } catch {
+    return [];
+  }
+  const list =
+    contractEvent.eventName === BATCH_EVENT_NAME
+      ? payload.events || []
+      : [{ type: contractEvent.eventName, ...payload }];
+  const blockNumber = contractEvent
+    .getTransactionEvent()
+    .getBlockEvent()
+    .blockNumber.toString();
+  return list.map((e) => ({ ...e, blockNumber }));
+}
+
+// Connect once and keep a contract listener for the lifetime of the server
+async function startEventListener(
+  userId,
+  orgID = "Org1",
+  chaincodeName = "sdvn",
+  channelName = "mychannel"
+) {
+  if (gateway) return;
+  if (starting) return starting;
+  starting = (async () => {
+    const ccp = getCCP(orgID);
+    const walletPath = path.join(process.cwd(), "wallet");
+    const wallet = await Wallets.newFileSystemWallet(walletPath);
+    if (!(await wallet.get(userId))) {
+      throw new Error(`Identity ${userId} not found in wallet`);
+    }
+    const gw = new Gateway();
+    await gw.connect(ccp, {
+      wallet,
+      identity: userId,
+      discovery: { enabled: true, asLocalhost: true },
+    });
+    const network = await gw.getNetwork(channelName);
+    const contract = network.getContract(chaincodeName);
+    await contract.addContractListener(async (contractEvent) => {
+      for (const event of toSdvnEvents(contractEvent)) {
+        emitter.emit("event", event);
+      }
+    });
+    gateway = gw;
+  })();
+  try {
+    await starting;
+  } finally {
+    starting = null;
+  }
+}
+
+// Subscribe to events, optionally filtered by vin and/or type.
+// Returns an unsubscribe function.
+function subscribe({ vin, type } = {}, callback) {
+  const handler = (event) => {
+    if (vin) {
+      const vins = event.vins || [event.vin];
+      if (!vins.includes(String(vin))) return;
+    }
+    if (type && event.type !== type) return;
+    callback(event);
+  };
+  emitter.on("event", handler);
+  return () => emitter.off("event", handler);
+}
+
+function stopEventListener() {
+  if (gateway) gateway.disconnect();
+  gateway = null;
+}
+
+module.exports = { startEventListener, subscribe, stopEventListener };
@@ -2,9 +2,20 @@
 
 const fs = require("fs");
 const path = require("path");
+const { X509Certificate } = require("crypto");
 const FabricCAServices = require("fabric-ca-client");
 const { Wallets } = require("fabric-network");
 
+// Vehicle location traces live in this private data collection, held by the
+// peers of these orgs only (chaincode collections_config.json)
+const LOCATION_COLLECTION = "vehicleLocationsCollection";
+const LOCATION_ORGS = ["Org1MSP"];
+
+// Fabric CA writes enrollment attributes (role, vin) into the certificate
+// extension 1.2.3.4.5.6.7.8.1 as JSON { "attrs": { name: value } }; this is
+// the DER encoding of that OID
+const CA_ATTRS_OID = Buffer.from("06082a03040506070801", "hex");
+
 // Resolve the connection profile for an organization
 function getCCP(orgID = "Org1") {
   const ccpPath = path.resolve(
@@ -146,4 +157,41 @@ async function enrollUserSimple(adminID, userID, orgID = "Org1", options = {}) {
   };
 }
 
-module.exports = { getCCP, enrollAdminSimple, enrollUserSimple };
+// Fabric CA attributes of a wallet identity, read from its certificate
+// (the same values the chaincode sees through ctx.clientIdentity).
+// Returns null when the identity is not in the wallet.
+async function getIdentityAttributes(userID) {
+  const walletPath = path.join(process.cwd(), "wallet");
+  const wallet = await Wallets.newFileSystemWallet(walletPath);
+  const identity = await wallet.get(userID);
+  if (!identity) return null;
+  const der = new X509Certificate(identity.credentials.certificate).raw;
+  const at = der.indexOf(CA_ATTRS_OID);
+  if (at < 0) return {};
+  let i = at + CA_ATTRS_OID.length;
+  // Skip the optional "critical" BOOLEAN, then read the OCTET STRING
+  if (der[i] === 0x01) i += 2 + der[i + 1];
+  if (der[i] !== 0x04) return {};
+  let length = der[i + 1];
+  i += 2;
+  if (length & 0x80) {
+    const bytes = length & 0x7f;
+    length = 0;
+    for (let k = 0; k < bytes; k++) length = length * 256 + der[i + k];
+    i += bytes;
+  }
+  try {
+    return JSON.parse(der.subarray(i, i + length).toString("utf8")).attrs || {};
+  } catch {
+    return {};
+  }
+}
+
+module.exports = {
+  LOCATION_COLLECTION,
+  LOCATION_ORGS,
+  getCCP,
+  getIdentityAttributes,
+  enrollAdminSimple,
+  enrollUserSimple,
+};
@@ -1,29 +1,24 @@
 "use strict";
 
-const fs = require("fs");
 const path = require("path");
 const { Wallets, Gateway } = require("fabric-network");
+const { LOCATION_COLLECTION, LOCATION_ORGS, getCCP } = require("./helper");
 
-// Submit a transaction to sdvn chaincode with positional args
-async function invokeTransactionArgs(
+// Connect as userID, run submit(transaction) for `fcn` on the sdvn chaincode
+// and return its result parsed as JSON when possible. Most transactions read
+// the location collection (storeLocation, cross-validation, the radio-range
+// check of every vote tally, sybil, ranging and leash), so all of them are
+// endorsed by collection members: a non-member peer would see no locations
+// and detector results would depend on which peer endorsed.
+async function submitWith(
   fcn,
-  argsArray,
+  submit,
   userID,
-  orgID = "Org1",
-  chaincodeName = "sdvn",
-  channelName = "mychannel"
+  orgID,
+  chaincodeName,
+  channelName
 ) {
-  const ccpPath = path.resolve(
-    __dirname,
-    "..",
-    "fabric-samples",
-    "test-network",
-    "organizations",
-    "peerOrganizations",
-    `${orgID}.example.com`.toLowerCase(),
-    `connection-${orgID}.json`.toLowerCase()
-  );
-  const ccp = JSON.parse(fs.readFileSync(ccpPath, "utf8"));
+  const ccp = getCCP(orgID);
 
   const walletPath = path.join(process.cwd(), "wallet");
   const wallet = await Wallets.newFileSystemWallet(walletPath);
@@ -44,7 +39,14 @@ async function invokeTransactionArgs(
   try {
     const network = await gateway.getNetwork(channelName);
     const contract = network.getContract(chaincodeName);
-    const buffer = await contract.submitTransaction(fcn, ...argsArray);
+    contract.addDiscoveryInterest({
+      name: chaincodeName,
+      collectionNames: [LOCATION_COLLECTION],
+    });
+    const transaction = contract
+      .createTransaction(fcn)
+      .setEndorsingOrganizations(...LOCATION_ORGS);
+    const buffer = await submit(transaction);
     const text = buffer.toString();
     try {
       return JSON.parse(text);
@@ -56,4 +58,50 @@ async function invokeTransactionArgs(
   }
 }
 
-module.exports = { invokeTransactionArgs };
+// Submit a transaction to sdvn chaincode with positional args
+async function invokeTransactionArgs(
+  fcn,
+  argsArray,
+  userID,
+  orgID = "Org1",
+  chaincodeName = "sdvn",
+  channelName = "mychannel"
+) {
+  return submitWith(
+    fcn,
+    (transaction) => transaction.submit(...argsArray),
+    userID,
+    orgID,
+    chaincodeName,
+    channelName
+  );
+}
+
+// Submit a transaction with transient data (e.g. private location entries).
+// Each transient value is JSON-encoded; it reaches the chaincode but is not
+// recorded in the transaction written to the ledger.
+async function invokeTransactionTransient(
+  fcn,
+  argsArray,
+  transientData,
+  userID,
+  orgID = "Org1",
+  chaincodeName = "sdvn",
+  channelName = "mychannel"
+) {
+  const transientMap = {};
+  for (const [name, value] of Object.entries(transientData || {})) {
+    transientMap[name] = Buffer.from(JSON.stringify(value));
+  }
+  return submitWith(
+    fcn,
+    (transaction) =>
+      transaction.setTransient(transientMap).submit(...argsArray),
+    userID,
+    orgID,
+    chaincodeName,
+    channelName
+  );
+}
+
+module.exports = { invokeTransactionArgs, invokeTransactionTransient };
@@ -3,6 +3,33 @@
 const { Gateway, Wallets } = require("fabric-network");
 const path = require("path");
 const fs = require("fs");
+const { LOCATION_ORGS } = require("./helper");
+
+// Query handler that evaluates on a peer of an org holding the location
+// collection, trying the next peer when one is unreachable. The default
+// handler picks the caller's own org, whose peers may answer without the
+// private location data.
+function locationMemberQueryHandler(network) {
+  const peers = LOCATION_ORGS.flatMap((mspId) =>
+    network.getChannel().getEndorsers(mspId)
+  );
+  return {
+    async evaluate(query) {
+      const errors = [];
+      for (const peer of peers) {
+        const result = (await query.evaluate([peer]))[peer.name];
+        if (result instanceof Error) {
+          errors.push(result.message);
+        } else if (result.isEndorsed) {
+          return result.payload;
+        } else {
+          throw new Error(`peer error response: ${result.message}`);
+        }
+      }
+      throw new Error(`Query failed. Errors: ${JSON.stringify(errors)}`);
+    },
+  };
+}
 
 // Evaluate a transaction on sdvn chaincode with positional args
 async function evaluateTransactionArgs(
@@ -40,6 +67,7 @@ async function evaluateTransactionArgs(
     wallet,
     identity: userId,
     discovery: { enabled: true, asLocalhost: true },
+    queryHandlerOptions: { strategy: locationMemberQueryHandler },
   });
   try {
     const network = await gateway.getNetwork(channelName);